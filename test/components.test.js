@@ -2,7 +2,7 @@
  * Component Tests
  * 
  * This file tests the functionality of key components in the Dynamic Pricing Optimizer:
- * - MarketPositionSelector (recently updated)
+ * - MarketPositionSelector (lists the market positions configured in settings)
  * - Other UI components
  */
 
@@ -17,16 +17,31 @@
 function testMarketPositionSelector() {
   console.log("Testing MarketPositionSelector Component");
   
+  // Positions used when settings define none, in the settings format
+  const defaultPositions = {
+    'budget': { index: 0 },
+    'mid-market': { index: 50 },
+    'premium': { index: 100 }
+  };
+  
   // Component Stub for testing
   // This represents the structure of the MarketPositionSelector.jsx component
   const MarketPositionSelector = {
-    render: function({ marketPosition, onPositionChange, onContinue }) {
-      console.log("Rendered MarketPositionSelector with:", { marketPosition, onPositionChange: !!onPositionChange, onContinue: !!onContinue });
+    // Lists the configured positions (settings.marketPositions.positions) in ascending price order
+    listPositions: function(positions) {
+      const configured = positions || defaultPositions;
+      return Object.keys(configured).sort((a, b) => configured[a].index - configured[b].index);
+    },
+    
+    render: function({ marketPosition, positions, onPositionChange, onContinue }) {
+      const options = this.listPositions(positions);
+      console.log("Rendered MarketPositionSelector with:", { marketPosition, options, onPositionChange: !!onPositionChange, onContinue: !!onContinue });
       
-      // Simulate user clicking a position
+      // Simulate user clicking the highest position
       if (typeof onPositionChange === 'function') {
-        console.log("Simulating position change to 'premium'");
-        onPositionChange('premium');
+        const choice = options[options.length - 1];
+        console.log(`Simulating position change to '${choice}'`);
+        onPositionChange(choice);
       }
       
       // Simulate user clicking continue button
@@ -107,6 +122,33 @@ function testMarketPositionSelector() {
   };
   
   PricingOptimizerPage.render();
+  
+  // Test case for positions configured in settings
+  console.log("\nTest case 4: Positions configured in settings");
+  const settings = {
+    marketPositions: {
+      positions: {
+        'ultra-premium': { index: 100 },
+        'penetration': { index: 0 },
+        'value-plus': { index: 40 },
+        'premium': { index: 75 }
+      }
+    }
+  };
+  selectedPosition = 'value-plus';
+  
+  const listedPositions = MarketPositionSelector.listPositions(settings.marketPositions.positions);
+  MarketPositionSelector.render({
+    marketPosition: selectedPosition,
+    positions: settings.marketPositions.positions,
+    onPositionChange: handlePositionChange
+  });
+  
+  console.log("Listed positions:", listedPositions);
+  console.log("Position after test case 4:", selectedPosition);
+  if (listedPositions.join(',') !== 'penetration,value-plus,premium,ultra-premium' || selectedPosition !== 'ultra-premium') {
+    throw new Error("MarketPositionSelector did not list the configured positions");
+  }
 }
 
 /**
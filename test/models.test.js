@@ -3,14 +3,152 @@
  * 
  * This file tests the functionality of the core models in the Dynamic Pricing Optimizer:
  * - CostModel
- * - PricingModel
+ * - PricingModel (with PricingStrategyRegistry)
+ * - CostVolumeProfitAnalysis
  * - CustomerSegmentModel
+ * - DemandModel
+ * - SegmentPricingAnalysis
+ * - PromotionSimulation
+ * - SubscriptionAnalysis
+ * - DynamicPricingEngine
+ * - CapacityModel
+ * - ExchangeRateTable
+ * - MarketPositionTable
+ * - PricePresenter
+ * - PriceGuardrails
+ * - TierPackageModel
+ * - BundleModel
+ * - ProductCatalogModel
+ * - SensitivityAnalysis
+ * - MonteCarloSimulation
  * - ScenarioModel
+ * - Input validation (ValidationError)
  */
 
 // Importing models directly from source repo would be ideal
 // For this test we're recreating the model functionality
 
+// Structured error for rejected model inputs, so the UI can show problems inline
+class ValidationError extends Error {
+  constructor(field, value, reason) {
+    super(`Invalid ${field}: ${reason}`);
+    this.name = 'ValidationError';
+    this.field = field;
+    this.value = value;
+    this.reason = reason;
+  }
+
+  toJSON() {
+    return { field: this.field, value: this.value, reason: this.reason };
+  }
+}
+
+// Returns a ValidationError when `value` is not a finite number within bounds, otherwise null
+function checkNumber(field, value, { min = -Infinity, max = Infinity, minExclusive = false, maxExclusive = false } = {}) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    return new ValidationError(field, value, 'must be a finite number');
+  }
+  if (minExclusive ? number <= min : number < min) {
+    return new ValidationError(field, value, `must be ${minExclusive ? 'greater than' : 'at least'} ${min}`);
+  }
+  if (maxExclusive ? number >= max : number > max) {
+    return new ValidationError(field, value, `must be ${maxExclusive ? 'less than' : 'at most'} ${max}`);
+  }
+  return null;
+}
+
+// Throwing variant of checkNumber for setters; returns the value as a number
+function requireNumber(field, value, bounds) {
+  const error = checkNumber(field, value, bounds);
+  if (error) {
+    throw error;
+  }
+  return Number(value);
+}
+
+// Exchange rates against a base currency, e.g. { EUR: 1.08 } with base USD means 1 EUR = 1.08 USD
+class ExchangeRateTable {
+  constructor(baseCurrency = 'USD', asOfDate = null) {
+    this.baseCurrency = ExchangeRateTable.requireCurrency('baseCurrency', baseCurrency);
+    this.asOfDate = asOfDate;
+    this.rates = {};
+  }
+
+  static requireCurrency(field, currency) {
+    if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) {
+      throw new ValidationError(field, currency, 'must be a three-letter ISO 4217 currency code');
+    }
+    return currency;
+  }
+
+  // Accepts the JSON text of a rates file (or the parsed object): { baseCurrency, asOfDate, rates }
+  static fromJSON(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    const table = new ExchangeRateTable(data.baseCurrency, data.asOfDate || null);
+    Object.entries(data.rates || {}).forEach(([currency, rate]) => table.setRate(currency, rate));
+    return table;
+  }
+
+  setRate(currency, rate) {
+    ExchangeRateTable.requireCurrency(`rates.${currency}`, currency);
+    this.rates[currency] = requireNumber(`rates.${currency}`, rate, { min: 0, minExclusive: true });
+    return true;
+  }
+
+  setAsOfDate(asOfDate) {
+    this.asOfDate = asOfDate;
+  }
+
+  hasRate(currency) {
+    return currency === this.baseCurrency || Object.prototype.hasOwnProperty.call(this.rates, currency);
+  }
+
+  // Value of one unit of `currency` in the base currency
+  getRate(currency) {
+    if (!this.hasRate(currency)) {
+      throw new ValidationError('currency', currency, `has no exchange rate against ${this.baseCurrency}`);
+    }
+    return currency === this.baseCurrency ? 1 : this.rates[currency];
+  }
+
+  convert(amount, fromCurrency, toCurrency) {
+    if (fromCurrency === toCurrency) {
+      return amount;
+    }
+    return amount * this.getRate(fromCurrency) / this.getRate(toCurrency);
+  }
+
+  toJSON() {
+    return {
+      baseCurrency: this.baseCurrency,
+      asOfDate: this.asOfDate,
+      rates: { ...this.rates }
+    };
+  }
+}
+
+// Monthly equivalents of each recurring indirect cost period
+const INDIRECT_COST_PERIODS = {
+  'day': 365 / 12,
+  'week': 52 / 12,
+  'month': 1,
+  'quarter': 1 / 3,
+  'year': 1 / 12
+};
+
+// Subscription settings; rates are monthly and acquisition amounts are per customer
+const SUBSCRIPTION_DEFAULTS = {
+  churnRate: 0.05,
+  expansionRate: 0, // Monthly revenue growth per retained customer, must stay below churn
+  acquisitionCost: 0,
+  onboardingCost: 0,
+  annualShare: 0, // Share of customers on annual plans
+  annualPrepayDiscount: 0, // Discount on annual plans paid up front
+  targetLtvToCac: 3
+};
+
 // CostModel simulation for testing
 class CostModel {
   constructor(businessType = 'service') {
@@ -20,94 +158,555 @@ class CostModel {
     this.timeCosts = [];
     this.targetMargin = 0.30; // Default 30% target margin
     this.expectedVolume = 100; // Default expected volume
+    this.currency = 'USD'; // Reporting currency for every calculation
+    this.exchangeRates = null; // ExchangeRateTable, needed once any amount is in another currency
+    this.subscription = null; // Set by setSubscription(); a unit is then one subscriber-month
+  }
+
+  setReportingCurrency(currency) {
+    this.currency = ExchangeRateTable.requireCurrency('currency', currency);
+  }
+
+  setExchangeRates(exchangeRates) {
+    this.exchangeRates = exchangeRates;
+  }
+
+  // Costs default to the reporting currency at the time they are added
+  parseCurrency(field, currency) {
+    return currency === undefined ? this.currency : ExchangeRateTable.requireCurrency(field, currency);
+  }
+
+  checkCurrency(field, currency) {
+    if (!currency || currency === this.currency) {
+      return null;
+    }
+    if (!this.exchangeRates) {
+      return new ValidationError(field, currency, 'needs an exchange rate table');
+    }
+    if (!this.exchangeRates.hasRate(currency) || !this.exchangeRates.hasRate(this.currency)) {
+      return new ValidationError(field, currency, `has no exchange rate to ${this.currency}`);
+    }
+    return null;
+  }
+
+  convertToReporting(amount, currency) {
+    if (!currency || currency === this.currency) {
+      return amount;
+    }
+    const error = this.checkCurrency('currency', currency);
+    if (error) {
+      throw error;
+    }
+    return this.exchangeRates.convert(amount, currency, this.currency);
+  }
+
+  addDirectCost(name, amount, unit = 'unit', options = {}) {
+    const prefix = `directCosts[${this.directCosts.length}]`;
+    this.directCosts.push({
+      name,
+      type: 'flat',
+      amount: requireNumber(`${prefix}.amount`, amount, { min: 0 }),
+      unit,
+      minimumOrderQuantity: requireNumber(`${prefix}.minimumOrderQuantity`, options.minimumOrderQuantity || 0, { min: 0 }),
+      currency: this.parseCurrency(`${prefix}.currency`, options.currency)
+    });
+    return true;
+  }
+
+  // Tiers are [{ minVolume, amount }]. 'all-units' charges every unit at the rate of the
+  // band the volume falls in; 'graduated' charges each band's units at that band's rate.
+  addTieredDirectCost(name, tiers, unit = 'unit', options = {}) {
+    const prefix = `directCosts[${this.directCosts.length}]`;
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+      throw new ValidationError(`${prefix}.tiers`, tiers, 'must be a non-empty array of tiers');
+    }
+
+    const sortedTiers = tiers
+      .map((tier, index) => ({
+        minVolume: requireNumber(`${prefix}.tiers[${index}].minVolume`, tier.minVolume || 0, { min: 0 }),
+        amount: requireNumber(`${prefix}.tiers[${index}].amount`, tier.amount, { min: 0 })
+      }))
+      .sort((a, b) => a.minVolume - b.minVolume);
+    const minimumOrderQuantity = requireNumber(`${prefix}.minimumOrderQuantity`, options.minimumOrderQuantity || 0, { min: 0 });
+
+    this.directCosts.push({
+      name,
+      type: 'tiered',
+      tiers: sortedTiers,
+      pricing: options.pricing === 'graduated' ? 'graduated' : 'all-units',
+      amount: sortedTiers[0].amount,
+      unit,
+      minimumOrderQuantity,
+      currency: this.parseCurrency(`${prefix}.currency`, options.currency)
+    });
+    return true;
   }
 
-  addDirectCost(name, amount, unit = 'unit') {
+  // A fixed amount incurred once per block of `stepSize` units (e.g. one machine per 500 units)
+  addStepDirectCost(name, stepAmount, stepSize, unit = 'unit', options = {}) {
+    const prefix = `directCosts[${this.directCosts.length}]`;
     this.directCosts.push({
       name,
-      amount: Number(amount),
-      unit
+      type: 'step',
+      amount: requireNumber(`${prefix}.amount`, stepAmount, { min: 0 }),
+      stepSize: requireNumber(`${prefix}.stepSize`, stepSize, { min: 0, minExclusive: true }),
+      unit,
+      currency: this.parseCurrency(`${prefix}.currency`, options.currency)
     });
     return true;
   }
 
-  addIndirectCost(name, amount, period = 'month') {
-    this.indirectCosts.push({
+  calculateDirectCostPerUnit(cost, volume = this.expectedVolume) {
+    const units = Math.max(Number(volume) || 0, 1);
+
+    if (cost.type === 'step') {
+      return this.convertToReporting((Math.ceil(units / cost.stepSize) * cost.amount) / units, cost.currency);
+    }
+
+    // Below the minimum order quantity we still pay for the full order
+    const purchasedUnits = Math.max(units, cost.minimumOrderQuantity || 0);
+    let purchaseCost;
+
+    if (cost.type === 'tiered' && cost.tiers.length > 0) {
+      if (cost.pricing === 'graduated') {
+        purchaseCost = cost.tiers.reduce((total, tier, index) => {
+          const nextTier = cost.tiers[index + 1];
+          const bandEnd = nextTier ? Math.min(purchasedUnits, nextTier.minVolume) : purchasedUnits;
+          const unitsInBand = Math.max(bandEnd - tier.minVolume, 0);
+          return total + unitsInBand * tier.amount;
+        }, 0);
+        // Units below the first band's minimum are charged at the first band's rate
+        purchaseCost += Math.min(purchasedUnits, cost.tiers[0].minVolume) * cost.tiers[0].amount;
+      } else {
+        const activeTier = cost.tiers.reduce(
+          (active, tier) => (purchasedUnits >= tier.minVolume ? tier : active),
+          cost.tiers[0]
+        );
+        purchaseCost = purchasedUnits * activeTier.amount;
+      }
+    } else {
+      purchaseCost = purchasedUnits * cost.amount;
+    }
+
+    return this.convertToReporting(purchaseCost / units, cost.currency);
+  }
+
+  // One-off costs are amortized evenly over `options.amortizationMonths`
+  addIndirectCost(name, amount, period = 'month', options = {}) {
+    const prefix = `indirectCosts[${this.indirectCosts.length}]`;
+    const periodError = this.checkIndirectCostPeriod(`${prefix}.period`, period);
+    if (periodError) {
+      throw periodError;
+    }
+
+    const cost = {
+      name,
+      amount: requireNumber(`${prefix}.amount`, amount, { min: 0 }),
+      period,
+      currency: this.parseCurrency(`${prefix}.currency`, options.currency)
+    };
+
+    if (period === 'one-off') {
+      cost.amortizationMonths = requireNumber(
+        `${prefix}.amortizationMonths`, options.amortizationMonths, { min: 0, minExclusive: true }
+      );
+    }
+
+    this.indirectCosts.push(cost);
+    return true;
+  }
+
+  checkIndirectCostPeriod(field, period) {
+    if (period === 'one-off' || Object.prototype.hasOwnProperty.call(INDIRECT_COST_PERIODS, period)) {
+      return null;
+    }
+    return new ValidationError(
+      field, period, `must be one of ${Object.keys(INDIRECT_COST_PERIODS).join(', ')} or one-off`
+    );
+  }
+
+  calculateMonthlyIndirectCost(cost) {
+    const amount = this.convertToReporting(cost.amount, cost.currency);
+    if (cost.period === 'one-off') {
+      return amount / cost.amortizationMonths;
+    }
+    return amount * INDIRECT_COST_PERIODS[cost.period];
+  }
+
+  calculateTotalMonthlyIndirectCost() {
+    return this.indirectCosts.reduce(
+      (total, cost) => total + this.calculateMonthlyIndirectCost(cost), 0
+    );
+  }
+
+  // `hours` are delivered (billable) hours per unit. Options:
+  // - utilization: billable share of paid hours, e.g. 0.7 means each delivered hour costs rate / 0.7
+  // - overtime: { staff, thresholdHours, multiplier } - monthly regular hours per person before
+  //   paid hours are charged at rate * multiplier
+  addTimeCost(name, rate, hours, options = {}) {
+    const prefix = `timeCosts[${this.timeCosts.length}]`;
+    this.timeCosts.push({
       name,
-      amount: Number(amount),
-      period
+      rate: requireNumber(`${prefix}.rate`, rate, { min: 0 }),
+      hours: requireNumber(`${prefix}.hours`, hours, { min: 0 }),
+      ...this.parseLaborOptions(prefix, options)
     });
     return true;
   }
 
-  addTimeCost(name, rate, hours) {
+  // Roles are [{ role, rate, share }]; the time cost is charged at the share-weighted blended rate
+  addBlendedTimeCost(name, roles, hours, options = {}) {
+    const prefix = `timeCosts[${this.timeCosts.length}]`;
+    if (!Array.isArray(roles) || roles.length === 0) {
+      throw new ValidationError(`${prefix}.roles`, roles, 'must be a non-empty array of roles');
+    }
+
+    const parsedRoles = roles.map((role, index) => ({
+      role: role.role,
+      rate: requireNumber(`${prefix}.roles[${index}].rate`, role.rate, { min: 0 }),
+      share: requireNumber(`${prefix}.roles[${index}].share`, role.share, { min: 0 })
+    }));
+    const totalShare = parsedRoles.reduce((total, role) => total + role.share, 0);
+    if (totalShare <= 0) {
+      throw new ValidationError(`${prefix}.roles`, roles, 'role shares must not all be zero');
+    }
+
     this.timeCosts.push({
       name,
-      rate: Number(rate),
-      hours: Number(hours)
+      rate: parsedRoles.reduce((total, role) => total + role.rate * role.share, 0) / totalShare,
+      hours: requireNumber(`${prefix}.hours`, hours, { min: 0 }),
+      roles: parsedRoles.map(role => ({ ...role, share: role.share / totalShare })),
+      ...this.parseLaborOptions(prefix, options)
     });
     return true;
   }
 
+  parseLaborOptions(prefix, options) {
+    const labor = {
+      utilization: requireNumber(
+        `${prefix}.utilization`,
+        options.utilization !== undefined ? options.utilization : 1,
+        { min: 0, max: 1, minExclusive: true }
+      ),
+      overtime: null,
+      currency: this.parseCurrency(`${prefix}.currency`, options.currency)
+    };
+
+    if (options.overtime) {
+      labor.overtime = {
+        staff: requireNumber(`${prefix}.overtime.staff`, options.overtime.staff, { min: 0, minExclusive: true }),
+        thresholdHours: requireNumber(`${prefix}.overtime.thresholdHours`, options.overtime.thresholdHours, { min: 0 }),
+        multiplier: requireNumber(`${prefix}.overtime.multiplier`, options.overtime.multiplier, { min: 1 })
+      };
+    }
+
+    return labor;
+  }
+
+  // Paid hours, overtime hours and loaded cost for one time cost at a monthly volume
+  calculateTimeCostDetails(cost, volume = this.expectedVolume) {
+    const units = Math.max(Number(volume) || 0, 1);
+    const utilization = cost.utilization || 1;
+    const paidHoursPerUnit = cost.hours / utilization;
+    const totalPaidHours = paidHoursPerUnit * units;
+
+    let overtimeHours = 0;
+    if (cost.overtime) {
+      const regularCapacity = cost.overtime.staff * cost.overtime.thresholdHours;
+      overtimeHours = Math.max(totalPaidHours - regularCapacity, 0);
+    }
+
+    const rate = this.convertToReporting(cost.rate, cost.currency);
+    const overtimePremium = cost.overtime ? overtimeHours * rate * (cost.overtime.multiplier - 1) : 0;
+    const totalCost = totalPaidHours * rate + overtimePremium;
+
+    return {
+      name: cost.name,
+      deliveredHoursPerUnit: cost.hours,
+      paidHoursPerUnit,
+      totalPaidHours,
+      overtimeHours,
+      costPerUnit: totalCost / units,
+      costPerDeliveredHour: cost.hours > 0 ? totalCost / (cost.hours * units) : 0
+    };
+  }
+
+  getTimeCostBreakdown(volume = this.expectedVolume) {
+    return this.timeCosts.map(cost => this.calculateTimeCostDetails(cost, volume));
+  }
+
+  // A margin of 1 or more would make the minimum viable price infinite or negative
   setTargetMargin(margin) {
-    this.targetMargin = Number(margin);
+    this.targetMargin = requireNumber('targetMargin', margin, { min: 0, max: 1, maxExclusive: true });
   }
 
   setExpectedVolume(volume) {
-    this.expectedVolume = Number(volume);
+    this.expectedVolume = requireNumber('expectedVolume', volume, { min: 0, minExclusive: true });
+  }
+
+  // Switches to recurring pricing: expected volume becomes active subscribers, per-unit costs are
+  // per subscriber per month, and prices are monthly list prices. Pass null for one-time sales.
+  setSubscription(options) {
+    if (options === null) {
+      this.subscription = null;
+      return;
+    }
+    const settings = { ...SUBSCRIPTION_DEFAULTS, ...(this.subscription || {}), ...options };
+    const errors = this.checkSubscription(settings);
+    if (errors.length > 0) {
+      throw errors[0];
+    }
+    Object.keys(SUBSCRIPTION_DEFAULTS).forEach(key => {
+      settings[key] = Number(settings[key]);
+    });
+    this.subscription = settings;
+  }
+
+  checkSubscription(settings) {
+    return [
+      checkNumber('subscription.churnRate', settings.churnRate, { min: 0, max: 1, minExclusive: true }),
+      checkNumber('subscription.expansionRate', settings.expansionRate, { min: 0, max: settings.churnRate, maxExclusive: true }),
+      checkNumber('subscription.acquisitionCost', settings.acquisitionCost, { min: 0 }),
+      checkNumber('subscription.onboardingCost', settings.onboardingCost, { min: 0 }),
+      checkNumber('subscription.annualShare', settings.annualShare, { min: 0, max: 1 }),
+      checkNumber('subscription.annualPrepayDiscount', settings.annualPrepayDiscount, { min: 0, max: 1, maxExclusive: true }),
+      checkNumber('subscription.targetLtvToCac', settings.targetLtvToCac, { min: 0, minExclusive: true })
+    ].filter(Boolean);
+  }
+
+  // Acquisition and onboarding spread over the expected customer lifetime of 1 / churn months
+  calculateAcquisitionCostPerUnit() {
+    if (!this.subscription) return 0;
+    const { acquisitionCost, onboardingCost, churnRate } = this.subscription;
+    return (acquisitionCost + onboardingCost) * churnRate;
+  }
+
+  // Revenue per unit at a list price; annual prepay discounts lower the average monthly revenue
+  calculateRevenuePerUnit(price) {
+    if (!this.subscription) return price;
+    const { annualShare, annualPrepayDiscount } = this.subscription;
+    return price * (1 - annualShare * annualPrepayDiscount);
   }
 
-  calculateTotalDirectCost() {
-    return this.directCosts.reduce((total, cost) => total + cost.amount, 0);
+  // Lifetime gross profit of one subscriber at a monthly list price, using direct and time costs
+  calculateLifetimeValue(price) {
+    const { churnRate, expansionRate } = this.subscription;
+    const servingCost = this.calculateTotalDirectCost() + this.calculateTotalTimeCost();
+    return this.calculateRevenuePerUnit(price) / (churnRate - expansionRate) - servingCost / churnRate;
+  }
+
+  // Monthly list price whose lifetime value is targetLtvToCac times acquisition and onboarding cost
+  calculateTargetLtvToCacPrice() {
+    const { churnRate, expansionRate, acquisitionCost, onboardingCost, targetLtvToCac } = this.subscription;
+    const servingCost = this.calculateTotalDirectCost() + this.calculateTotalTimeCost();
+    const lifetimeRevenue = targetLtvToCac * (acquisitionCost + onboardingCost) + servingCost / churnRate;
+    return lifetimeRevenue * (churnRate - expansionRate) / this.calculateRevenuePerUnit(1);
+  }
+
+  // Checks the current state (including values assigned directly or loaded from storage)
+  // and returns every problem found rather than stopping at the first one
+  validate() {
+    const errors = [];
+
+    this.directCosts.forEach((cost, index) => {
+      const prefix = `directCosts[${index}]`;
+      errors.push(checkNumber(`${prefix}.amount`, cost.amount, { min: 0 }));
+      errors.push(this.checkCurrency(`${prefix}.currency`, cost.currency));
+      if (cost.type === 'step') {
+        errors.push(checkNumber(`${prefix}.stepSize`, cost.stepSize, { min: 0, minExclusive: true }));
+      } else {
+        errors.push(checkNumber(`${prefix}.minimumOrderQuantity`, cost.minimumOrderQuantity || 0, { min: 0 }));
+      }
+      if (cost.type === 'tiered') {
+        cost.tiers.forEach((tier, tierIndex) => {
+          errors.push(checkNumber(`${prefix}.tiers[${tierIndex}].minVolume`, tier.minVolume, { min: 0 }));
+          errors.push(checkNumber(`${prefix}.tiers[${tierIndex}].amount`, tier.amount, { min: 0 }));
+        });
+      }
+    });
+
+    this.indirectCosts.forEach((cost, index) => {
+      const prefix = `indirectCosts[${index}]`;
+      errors.push(checkNumber(`${prefix}.amount`, cost.amount, { min: 0 }));
+      errors.push(this.checkIndirectCostPeriod(`${prefix}.period`, cost.period));
+      errors.push(this.checkCurrency(`${prefix}.currency`, cost.currency));
+      if (cost.period === 'one-off') {
+        errors.push(checkNumber(`${prefix}.amortizationMonths`, cost.amortizationMonths, { min: 0, minExclusive: true }));
+      }
+    });
+
+    this.timeCosts.forEach((cost, index) => {
+      const prefix = `timeCosts[${index}]`;
+      errors.push(checkNumber(`${prefix}.rate`, cost.rate, { min: 0 }));
+      errors.push(checkNumber(`${prefix}.hours`, cost.hours, { min: 0 }));
+      errors.push(this.checkCurrency(`${prefix}.currency`, cost.currency));
+      if (cost.utilization !== undefined) {
+        errors.push(checkNumber(`${prefix}.utilization`, cost.utilization, { min: 0, max: 1, minExclusive: true }));
+      }
+      if (cost.overtime) {
+        errors.push(checkNumber(`${prefix}.overtime.staff`, cost.overtime.staff, { min: 0, minExclusive: true }));
+        errors.push(checkNumber(`${prefix}.overtime.thresholdHours`, cost.overtime.thresholdHours, { min: 0 }));
+        errors.push(checkNumber(`${prefix}.overtime.multiplier`, cost.overtime.multiplier, { min: 1 }));
+      }
+    });
+
+    errors.push(checkNumber('targetMargin', this.targetMargin, { min: 0, max: 1, maxExclusive: true }));
+    errors.push(checkNumber('expectedVolume', this.expectedVolume, { min: 0, minExclusive: true }));
+    if (this.subscription) {
+      errors.push(...this.checkSubscription(this.subscription));
+    }
+
+    return errors.filter(Boolean);
   }
 
-  calculateTotalTimeCost() {
-    return this.timeCosts.reduce((total, cost) => total + (cost.rate * cost.hours), 0);
+  calculateTotalDirectCost(volume = this.expectedVolume) {
+    return this.directCosts.reduce(
+      (total, cost) => total + this.calculateDirectCostPerUnit(cost, volume), 0
+    );
   }
 
-  calculateAllocatedIndirectCost() {
-    const monthlyIndirectCosts = this.indirectCosts.reduce((total, cost) => {
-      const monthlyCost = cost.period === 'year' ? cost.amount / 12 : cost.amount;
-      return total + monthlyCost;
-    }, 0);
+  calculateTotalTimeCost(volume = this.expectedVolume) {
+    return this.timeCosts.reduce(
+      (total, cost) => total + this.calculateTimeCostDetails(cost, volume).costPerUnit, 0
+    );
+  }
 
-    return monthlyIndirectCosts / this.expectedVolume;
+  calculateAllocatedIndirectCost(volume = this.expectedVolume) {
+    return this.calculateTotalMonthlyIndirectCost() / volume;
   }
 
-  calculateTotalCostPerUnit() {
-    const directCost = this.calculateTotalDirectCost();
-    const timeCost = this.calculateTotalTimeCost();
-    const indirectCost = this.calculateAllocatedIndirectCost();
+  calculateTotalCostPerUnit(volume = this.expectedVolume) {
+    const directCost = this.calculateTotalDirectCost(volume);
+    const timeCost = this.calculateTotalTimeCost(volume);
+    const indirectCost = this.calculateAllocatedIndirectCost(volume);
     
-    return directCost + timeCost + indirectCost;
+    return directCost + timeCost + indirectCost + this.calculateAcquisitionCostPerUnit();
   }
 
-  calculateMinimumViablePrice() {
-    const totalCost = this.calculateTotalCostPerUnit();
-    // Formula: Price = Cost / (1 - Target Margin)
-    return totalCost / (1 - this.targetMargin);
+  calculateMinimumViablePrice(volume = this.expectedVolume) {
+    const totalCost = this.calculateTotalCostPerUnit(volume);
+    // Formula: Price = Cost / (1 - Target Margin), grossed up for annual prepay discounts
+    return totalCost / (1 - this.targetMargin) / this.calculateRevenuePerUnit(1);
   }
 
   calculateBreakEvenPrice() {
-    return this.calculateTotalCostPerUnit();
+    return this.calculateTotalCostPerUnit() / this.calculateRevenuePerUnit(1);
   }
 
   calculateBreakEvenVolume(price) {
     const totalCost = this.calculateTotalCostPerUnit();
-    if (price <= totalCost) return Infinity; // Price too low to break even
+    const revenue = this.calculateRevenuePerUnit(price);
+    if (revenue <= totalCost) return Infinity; // Price too low to break even
     
-    const monthlyIndirectCosts = this.indirectCosts.reduce((total, cost) => {
-      const monthlyCost = cost.period === 'year' ? cost.amount / 12 : cost.amount;
-      return total + monthlyCost;
-    }, 0);
+    const monthlyIndirectCosts = this.calculateTotalMonthlyIndirectCost();
     
-    const contributionMargin = price - (this.calculateTotalDirectCost() + this.calculateTotalTimeCost());
+    const contributionMargin = revenue - (this.calculateTotalDirectCost() + this.calculateTotalTimeCost() + this.calculateAcquisitionCostPerUnit());
     return monthlyIndirectCosts / contributionMargin;
   }
 
   calculateMarginAtPrice(price) {
     const totalCost = this.calculateTotalCostPerUnit();
-    return (price - totalCost) / price;
+    const revenue = this.calculateRevenuePerUnit(price);
+    return (revenue - totalCost) / revenue;
+  }
+
+  clone() {
+    const copy = new CostModel(this.businessType);
+    copy.directCosts = this.directCosts.map(cost => ({ ...cost }));
+    copy.indirectCosts = this.indirectCosts.map(cost => ({ ...cost }));
+    copy.timeCosts = this.timeCosts.map(cost => ({ ...cost }));
+    copy.targetMargin = this.targetMargin;
+    copy.expectedVolume = this.expectedVolume;
+    copy.currency = this.currency;
+    copy.exchangeRates = this.exchangeRates;
+    copy.subscription = this.subscription ? { ...this.subscription } : null;
+    return copy;
+  }
+}
+
+// Cost-volume-profit analysis for a CostModel at a given price.
+// Variable cost per unit is taken at the model's expected volume (the usual linear CVP
+// assumption); the chart series re-evaluates volume-dependent costs at each point.
+class CostVolumeProfitAnalysis {
+  constructor(costModel) {
+    this.costModel = costModel;
+  }
+
+  // Subscriptions add the per-unit acquisition cost of replacing churned subscribers
+  calculateVariableCostPerUnit(volume = this.costModel.expectedVolume) {
+    return this.costModel.calculateTotalDirectCost(volume) + this.costModel.calculateTotalTimeCost(volume) +
+      this.costModel.calculateAcquisitionCostPerUnit();
+  }
+
+  calculateProfitAtVolume(price, volume) {
+    const fixedCosts = this.costModel.calculateTotalMonthlyIndirectCost();
+    const variableCosts = volume > 0 ? this.calculateVariableCostPerUnit(volume) * volume : 0;
+    const revenue = this.costModel.calculateRevenuePerUnit(price) * volume;
+    return {
+      volume,
+      revenue,
+      variableCosts,
+      fixedCosts,
+      totalCosts: variableCosts + fixedCosts,
+      profit: revenue - variableCosts - fixedCosts
+    };
+  }
+
+  analyze(price, options = {}) {
+    const salePrice = requireNumber('price', price, { min: 0, minExclusive: true });
+    const expectedVolume = this.costModel.expectedVolume;
+    const fixedCosts = this.costModel.calculateTotalMonthlyIndirectCost();
+    const variableCostPerUnit = this.calculateVariableCostPerUnit();
+    const revenuePerUnit = this.costModel.calculateRevenuePerUnit(salePrice);
+
+    const contributionMargin = revenuePerUnit - variableCostPerUnit;
+    const contributionMarginRatio = contributionMargin / revenuePerUnit;
+    const breakEvenVolume = contributionMargin > 0 ? fixedCosts / contributionMargin : Infinity;
+    const breakEvenRevenue = contributionMargin > 0 ? breakEvenVolume * revenuePerUnit : Infinity;
+
+    const totalContribution = contributionMargin * expectedVolume;
+    const operatingProfit = totalContribution - fixedCosts;
+    const marginOfSafetyUnits = expectedVolume - breakEvenVolume;
+
+    return {
+      price: salePrice,
+      revenuePerUnit,
+      expectedVolume,
+      fixedCosts,
+      variableCostPerUnit,
+      contributionMargin,
+      contributionMarginRatio,
+      breakEvenVolume,
+      breakEvenRevenue,
+      operatingProfit,
+      marginOfSafety: {
+        units: marginOfSafetyUnits,
+        revenue: marginOfSafetyUnits * revenuePerUnit,
+        ratio: marginOfSafetyUnits / expectedVolume
+      },
+      // Infinite exactly at break-even; negative when operating at a loss
+      operatingLeverage: operatingProfit !== 0 ? totalContribution / operatingProfit : Infinity,
+      series: this.generateProfitSeries(salePrice, {
+        ...options,
+        maxVolume: options.maxVolume || this.defaultMaxVolume(breakEvenVolume)
+      })
+    };
+  }
+
+  defaultMaxVolume(breakEvenVolume) {
+    const expectedVolume = this.costModel.expectedVolume;
+    return Number.isFinite(breakEvenVolume)
+      ? Math.ceil(Math.max(expectedVolume * 2, breakEvenVolume * 1.5))
+      : Math.ceil(expectedVolume * 2);
+  }
+
+  // Profit-vs-volume data points from 0 to maxVolume for charting
+  generateProfitSeries(price, { maxVolume = this.costModel.expectedVolume * 2, points = 20 } = {}) {
+    const series = [];
+    for (let i = 0; i <= points; i++) {
+      series.push(this.calculateProfitAtVolume(price, (maxVolume * i) / points));
+    }
+    return series;
   }
 }
 
@@ -158,380 +757,4719 @@ class CustomerSegmentModel {
     
     return weightedSum / totalSize;
   }
-}
 
-// PricingModel simulation
-class PricingModel {
-  constructor(costModel) {
-    this.costModel = costModel;
-    this.competitors = [];
-    this.valueFactors = [];
-    this.customerSegmentModel = new CustomerSegmentModel();
-    this.marketPosition = 'mid-market'; // 'budget', 'mid-market', 'premium'
-    this.baseDemand = 100; // Default reference demand
+  clone() {
+    const copy = new CustomerSegmentModel();
+    copy.segments = this.segments.map(segment => ({ ...segment }));
+    copy.nextId = this.nextId;
+    return copy;
   }
+}
 
-  get segments() {
-    return this.customerSegmentModel.segments || [];
+const DEMAND_MODEL_TYPES = ['constant-elasticity', 'linear'];
+
+// Named pricing strategies. A strategy definition has:
+// - compute(model): a price, or { price, details, context } where details are added to the
+//   recommendation and context is only passed on to explain/confidence
+// - explain(model, result) and confidence(model, result) for the recommendation text and level
+// - fallback(model) (optional): a reason string when the strategy substituted another calculation
+// - blend (default true) and defaultWeight (default 0): participation in the optimal blend
+class PricingStrategyRegistry {
+  constructor() {
+    this.strategies = new Map();
   }
 
-  addCompetitor(name, price, attributes = {}) {
-    this.competitors.push({
-      name,
-      price: Number(price),
-      attributes,
-      overallValue: this.calculateOverallValue(attributes)
+  // Registering an existing name overrides it
+  register(name, definition) {
+    if (typeof name !== 'string' || name === '' || name === 'optimal') {
+      throw new ValidationError('strategy', name, 'must be a non-empty name other than "optimal"');
+    }
+    ['compute', 'explain', 'confidence'].forEach(key => {
+      if (typeof definition[key] !== 'function') {
+        throw new ValidationError(`strategies.${name}.${key}`, definition[key], 'must be a function');
+      }
+    });
+
+    this.strategies.set(name, {
+      blend: true,
+      fallback: null,
+      ...definition,
+      defaultWeight: requireNumber(`strategies.${name}.defaultWeight`, definition.defaultWeight || 0, { min: 0 })
     });
+    return true;
   }
 
-  calculateOverallValue(attributes) {
-    if (Object.keys(attributes).length === 0) return 5; // Default mid-value
-    
-    const values = Object.values(attributes);
-    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  unregister(name) {
+    return this.strategies.delete(name);
   }
 
-  addValueFactor(name, importance, score) {
-    this.valueFactors.push({
-      name,
-      importance: Number(importance),
-      score: Number(score)
-    });
+  has(name) {
+    return this.strategies.has(name);
   }
 
-  addSegment(name, size, priceElasticity, description = '') {
-    // Convert priceElasticity from 1-10 scale to -10 to 0 scale
-    const elasticity = -((priceElasticity / 10) * 9.5 + 0.5);
-    return this.customerSegmentModel.addSegment(name, size, elasticity, description);
+  get(name) {
+    return this.strategies.get(name) || null;
   }
 
-  setMarketPosition(position) {
-    if (['budget', 'mid-market', 'premium'].includes(position)) {
-      this.marketPosition = position;
-    } else {
-      throw new Error('Market position must be "budget", "mid-market", or "premium"');
-    }
+  getNames() {
+    return Array.from(this.strategies.keys());
   }
 
-  calculateCostPlusPrice(marginMultiplier = 1) {
-    const baseMinimumPrice = this.costModel.calculateMinimumViablePrice();
-    
-    const positionMultipliers = {
-      'budget': 0.9,
-      'mid-market': 1.0,
-      'premium': 1.2
-    };
-    
-    return baseMinimumPrice * positionMultipliers[this.marketPosition] * marginMultiplier;
+  getBlendedNames() {
+    return this.getNames().filter(name => this.strategies.get(name).blend);
   }
 
-  calculateCompetitorIndexedPrice() {
-    if (this.competitors.length === 0) {
-      return this.calculateCostPlusPrice(); // Fall back to cost-plus
-    }
-    
-    const avgCompetitorPrice = this.competitors.reduce(
-      (sum, competitor) => sum + competitor.price, 0
-    ) / this.competitors.length;
-    
-    const positionMultipliers = {
-      'budget': 0.85,
-      'mid-market': 1.0,
-      'premium': 1.25
-    };
-    
-    const basePrice = avgCompetitorPrice * positionMultipliers[this.marketPosition];
-    
-    const minimumViablePrice = this.costModel.calculateMinimumViablePrice();
-    return Math.max(basePrice, minimumViablePrice);
+  clone() {
+    const copy = new PricingStrategyRegistry();
+    this.strategies.forEach((definition, name) => copy.strategies.set(name, { ...definition }));
+    return copy;
   }
+}
 
-  calculateValueBasedPrice() {
-    if (this.competitors.length === 0 || this.valueFactors.length === 0) {
-      return this.calculateCostPlusPrice(); // Fall back to cost-plus
+// Default registry; each PricingModel starts from a copy, so register house strategies here
+// before creating models, or on a single model with pricingModel.registerStrategy()
+const pricingStrategies = new PricingStrategyRegistry();
+
+// Built-in strategies return their breakdown as a `breakdown` detail and explain from it
+const breakdownResult = breakdown => ({ price: breakdown.price, details: { breakdown } });
+
+pricingStrategies.register('cost-plus', {
+  compute: model => breakdownResult(model.calculateCostPlusBreakdown()),
+  explain: (model, { details }) => model.describeBreakdown(details.breakdown),
+  confidence: () => 0.8, // High confidence in cost calculations
+  defaultWeight: 0.4
+});
+
+pricingStrategies.register('competitor', {
+  compute: model => breakdownResult(model.calculateCompetitorIndexedBreakdown()),
+  explain: (model, { details }) => model.describeBreakdown(details.breakdown),
+  // Confidence depends on the number of competitors in the benchmark
+  confidence: model => (model.getActiveCompetitors().length > 2 ? 0.7 : 0.5),
+  fallback: model => {
+    if (model.competitors.length === 0) {
+      return 'no competitors, used cost-plus';
     }
-    
-    // Calculate your value score
-    const valueScore = this.valueFactors.reduce(
-      (sum, factor) => sum + (factor.importance * factor.score), 0
-    ) / this.valueFactors.reduce((sum, factor) => sum + factor.importance, 0);
-    
-    // Calculate average competitor price and value
-    const avgCompetitorPrice = this.competitors.reduce(
-      (sum, competitor) => sum + competitor.price, 0
-    ) / this.competitors.length;
-    
-    const avgCompetitorValue = this.competitors.reduce(
-      (sum, competitor) => sum + competitor.overallValue, 0
-    ) / this.competitors.length;
-    
-    // Calculate value-to-price ratio in the market
-    const marketValueToPrice = avgCompetitorValue / avgCompetitorPrice;
-    
-    // Your price should reflect your relative value
-    let valueBasedPrice = valueScore / marketValueToPrice;
-    
-    // Apply market position adjustment
-    const positionMultipliers = {
-      'budget': 0.9,
-      'mid-market': 1.0,
-      'premium': 1.15
-    };
-    
-    valueBasedPrice *= positionMultipliers[this.marketPosition];
-    
-    // Ensure price covers costs with minimum margin
-    const minimumViablePrice = this.costModel.calculateMinimumViablePrice();
-    return Math.max(valueBasedPrice, minimumViablePrice);
-  }
+    return model.getActiveCompetitors().length === 0 ? 'all competitor prices are stale, used cost-plus' : null;
+  },
+  defaultWeight: 0.3
+});
 
-  getPriceRecommendation(strategy = 'optimal') {
-    let price, explanation, confidenceLevel;
-    
-    switch (strategy) {
-      case 'cost-plus':
-        price = this.calculateCostPlusPrice();
-        explanation = `Based on your cost structure and desired ${this.marketPosition} positioning, this price ensures your target margin of ${(this.costModel.targetMargin * 100).toFixed(0)}%.`;
-        confidenceLevel = 0.8; // High confidence in cost calculations
-        break;
-        
-      case 'competitor':
-        price = this.calculateCompetitorIndexedPrice();
-        explanation = `This price positions your offering in the ${this.marketPosition} segment relative to your competitors while ensuring profitability.`;
-        confidenceLevel = this.competitors.length > 2 ? 0.7 : 0.5; // Confidence depends on number of competitors
-        break;
-      
-      case 'value':
-        price = this.calculateValueBasedPrice();
-        explanation = `Based on your superior value offering, this price reflects the premium value you provide while maintaining competitive positioning.`;
-        confidenceLevel = (this.competitors.length > 0 && this.valueFactors.length > 2) ? 0.75 : 0.4;
-        break;
-        
-      case 'optimal':
-      default:
-        // For testing, we'll use a simple weighted average
-        const weights = {
-          costPlus: 0.4,
-          competitor: 0.3,
-          value: 0.3
-        };
-        
-        price = (
-          this.calculateCostPlusPrice() * weights.costPlus +
-          this.calculateCompetitorIndexedPrice() * weights.competitor +
-          this.calculateValueBasedPrice() * weights.value
-        );
-        
-        explanation = `This optimal price balances your cost structure, competitive positioning, and value differentiation to maximize long-term profitability.`;
-        confidenceLevel = 0.65;
-        break;
+pricingStrategies.register('value', {
+  compute: model => {
+    const breakdown = model.calculateValueBasedBreakdown();
+    const valueComparison = breakdown.fallbacks.length > 0 ? [] : model.getValueComparison();
+    return { price: breakdown.price, details: { breakdown, valueComparison } };
+  },
+  explain: (model, { details }) => model.describeBreakdown(details.breakdown),
+  confidence: model => ((model.competitors.length > 0 && model.valueFactors.length > 2) ? 0.75 : 0.4),
+  fallback: model => {
+    if (model.competitors.length === 0 || model.valueFactors.length === 0) {
+      return 'no competitors or value factors, used cost-plus';
     }
-    
+    return model.fitValueEquivalenceLine() === null ? 'no competitor scores on your value factors, used cost-plus' : null;
+  },
+  defaultWeight: 0.3
+});
+
+pricingStrategies.register('demand', {
+  compute: model => {
+    const demandModel = model.getDemandModel();
+    const optimum = demandModel.optimize();
+    const fallback = model.getStrategyFallback('demand');
+    const breakdown = model.createBreakdown('demand', {
+      label: 'profit-maximizing price on the demand curve',
+      value: optimum.profitMaximizing.price
+    }, [], {
+      fallbacks: fallback ? [fallback] : [],
+      facts: { elasticity: demandModel.elasticity, referencePrice: demandModel.referencePrice }
+    });
+    // The optimizer searches from the floor, so report binding from its own result
+    breakdown.floor.binding = optimum.profitMaximizing.floorBinding;
+
     return {
-      price: Math.round(price * 100) / 100, // Round to 2 decimal places
-      explanation,
-      confidenceLevel,
-      margin: this.costModel.calculateMarginAtPrice(price),
-      breakEvenVolume: this.costModel.calculateBreakEvenVolume(price)
+      price: optimum.profitMaximizing.price,
+      details: {
+        breakdown,
+        expectedVolume: optimum.profitMaximizing.volume,
+        expectedProfit: optimum.profitMaximizing.profit,
+        // Inelastic demand (|e| < 1) has no interior optimum, so the price is the top of the search range
+        atUpperBound: optimum.profitMaximizing.atUpperBound,
+        revenueMaximizingPrice: Math.round(optimum.revenueMaximizing.price * 100) / 100
+      },
+      context: { demandModel, optimum }
     };
+  },
+  explain: (model, { context }) => {
+    const { demandModel, optimum } = context;
+    const defaultElasticity = model.segments.length === 0 ? ' (the default, as no customer segments are defined)' : '';
+    const curve = `Using a ${demandModel.type} demand curve with elasticity ${demandModel.elasticity.toFixed(2)}${defaultElasticity} anchored at ${model.baseDemand} units for ${model.formatAmount(demandModel.referencePrice)}`;
+    if (optimum.profitMaximizing.atUpperBound) {
+      return `${curve}, demand is too inelastic for profit to peak, so this price is only the top of the search range (${optimum.profitMaximizing.volume.toFixed(1)} units); treat it as a ceiling rather than an optimum.`;
+    }
+    return `${curve}, this price maximizes expected monthly profit at ${optimum.profitMaximizing.volume.toFixed(1)} units${optimum.profitMaximizing.floorBinding ? ', limited by your minimum viable price' : ''}.`;
+  },
+  confidence: (model, { context }) => {
+    if (context.optimum.profitMaximizing.atUpperBound) {
+      return 0.2; // The curve gave no optimum, only the search limit
+    }
+    return model.segments.length > 0 ? 0.6 : 0.35; // Default elasticity when no segments are defined
+  },
+  fallback: model => (model.segments.length === 0 ? 'no customer segments, used default elasticity' : null),
+  defaultWeight: 0
+});
+
+pricingStrategies.register('ltv-cac', {
+  compute: model => {
+    const fallback = model.getStrategyFallback('ltv-cac');
+    if (fallback) {
+      return breakdownResult(model.createFallbackBreakdown('ltv-cac', fallback));
+    }
+    const { subscription } = model.costModel;
+    return breakdownResult(model.createBreakdown('ltv-cac', {
+      label: `monthly price for a ${subscription.targetLtvToCac}:1 LTV:CAC ratio`,
+      value: model.costModel.calculateTargetLtvToCacPrice()
+    }, [], {
+      facts: {
+        churnRate: subscription.churnRate,
+        acquisitionCost: subscription.acquisitionCost + subscription.onboardingCost,
+        targetLtvToCac: subscription.targetLtvToCac
+      }
+    }));
+  },
+  explain: (model, { details }) => model.describeBreakdown(details.breakdown),
+  confidence: model => (model.costModel.subscription ? 0.6 : 0.4),
+  fallback: model => (model.costModel.subscription ? null : 'no subscription settings, used cost-plus'),
+  defaultWeight: 0
+});
+
+// How a competitor's missing score on one of our value factors is treated
+const MISSING_SCORE_HANDLING = ['neutral', 'ours', 'exclude'];
+
+const BENCHMARK_METHODS = ['mean', 'weighted-mean', 'median', 'trimmed-mean', 'percentile'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Normalizes a Date or date string to an ISO date (YYYY-MM-DD), or null when absent
+function toISODate(field, date) {
+  if (date === undefined || date === null) {
+    return null;
   }
+  const time = date instanceof Date ? date.getTime() : Date.parse(date);
+  if (Number.isNaN(time)) {
+    throw new ValidationError(field, date, 'must be a valid date');
+  }
+  return new Date(time).toISOString().substring(0, 10);
+}
+
+const ROUNDING_DIRECTIONS = ['nearest', 'up', 'down'];
+
+// Turns raw prices into customer-facing price points. Options:
+// - ladder: ascending price points (e.g. [49, 99, 149, 199]); continues above the top at the last gap
+// - bands: [{ upTo, step }] rounds to multiples of `step` for prices up to `upTo` (last band may omit upTo)
+// - ending: charm ending taken just below each round number, e.g. 0.99 turns 1070 into 1069.99;
+//   0 (or no ending) keeps round numbers. Without a ladder or bands, round numbers are whole units.
+// - direction: 'nearest', 'up' or 'down'
+class PricePresenter {
+  constructor({ ladder = null, bands = null, ending = 0, direction = 'nearest' } = {}) {
+    if (ladder !== null) {
+      if (!Array.isArray(ladder) || ladder.length === 0) {
+        throw new ValidationError('presentation.ladder', ladder, 'must be a non-empty array of price points');
+      }
+      ladder.forEach((point, index) => {
+        requireNumber(`presentation.ladder[${index}]`, point, { min: index > 0 ? ladder[index - 1] : 0, minExclusive: true });
+      });
+    }
+    if (bands !== null) {
+      if (!Array.isArray(bands) || bands.length === 0) {
+        throw new ValidationError('presentation.bands', bands, 'must be a non-empty array of bands');
+      }
+      bands.forEach((band, index) => {
+        requireNumber(`presentation.bands[${index}].step`, band.step, { min: 0, minExclusive: true });
+        if (band.upTo !== undefined && index > 0 && bands[index - 1].upTo !== undefined) {
+          requireNumber(`presentation.bands[${index}].upTo`, band.upTo, { min: bands[index - 1].upTo, minExclusive: true });
+        }
+      });
+    }
+    if (!ROUNDING_DIRECTIONS.includes(direction)) {
+      throw new ValidationError('presentation.direction', direction, `must be one of ${ROUNDING_DIRECTIONS.join(', ')}`);
+    }
+
+    this.ladder = ladder ? ladder.map(Number) : null;
+    this.bands = bands ? bands.map(band => ({ upTo: band.upTo === undefined ? Infinity : Number(band.upTo), step: Number(band.step) })) : null;
+    this.ending = requireNumber('presentation.ending', ending, { min: 0, max: 1, maxExclusive: true });
+    this.direction = direction;
+  }
+
+  // Round numbers next to `price`: the ones either side of it plus one neighbour beyond each
+  getRoundNumbers(price) {
+    if (this.ladder) {
+      const top = this.ladder[this.ladder.length - 1];
+      const gap = this.ladder.length > 1 ? top - this.ladder[this.ladder.length - 2] : top;
+      const steps = Math.max(Math.floor((price - top) / gap), 0);
+      const extension = [steps - 1, steps, steps + 1, steps + 2]
+        .filter(step => step > 0)
+        .map(step => top + step * gap);
+      return [...this.ladder, ...extension];
+    }
+
+    const bands = this.bands || [{ upTo: Infinity, step: 1 }];
+    const numbers = [];
+    let bandStart = 0;
+    bands.forEach(band => {
+      // Prices outside the band take the band's round numbers at its nearest edge
+      const nearest = Math.min(Math.max(price, bandStart), band.upTo);
+      const below = Math.floor(nearest / band.step);
+      for (let multiple = below - 1; multiple <= below + 2; multiple++) {
+        const value = Math.round(multiple * band.step * 100) / 100;
+        if (value > bandStart && value <= band.upTo) {
+          numbers.push(value);
+        }
+      }
+      bandStart = band.upTo;
+    });
+    return numbers;
+  }
+
+  // Candidate price points next to each of `prices`
+  getCandidates(prices) {
+    // Round numbers are searched where their charm ending lands near the price
+    const offset = this.ending > 0 ? 1 - this.ending : 0;
+    const candidates = prices
+      .reduce((numbers, price) => numbers.concat(this.getRoundNumbers(price + offset)), [])
+      .map(number => Math.round((number - offset) * 100) / 100)
+      .filter(candidate => candidate > 0);
+    return Array.from(new Set(candidates)).sort((a, b) => a - b);
+  }
+
+  pick(candidates, rawPrice) {
+    const below = candidates.filter(candidate => candidate <= rawPrice);
+    const above = candidates.filter(candidate => candidate >= rawPrice);
+    // A direction is a preference: the other side is used when it is all that is left
+    if (this.direction === 'down' && below.length > 0) return below[below.length - 1];
+    if (this.direction === 'up' && above.length > 0) return above[0];
+    if (below.length === 0) return above[0];
+    if (above.length === 0) return below[below.length - 1];
+
+    const down = below[below.length - 1];
+    const up = above[0];
+    return rawPrice - down <= up - rawPrice ? down : up;
+  }
+
+  // Presented price for `rawPrice` within [min, max]. When no price point lies in the range,
+  // the raw price is shown to the cent.
+  present(rawPrice, { min = 0, max = Infinity } = {}) {
+    const candidates = this.getCandidates([rawPrice, min, max].filter(Number.isFinite));
+    const allowed = candidates.filter(candidate => candidate >= min - 1e-9 && candidate <= max + 1e-9);
+    const unconstrained = this.pick(candidates, rawPrice);
+    const presentedPrice = allowed.length > 0 ? this.pick(allowed, rawPrice) : Math.round(rawPrice * 100) / 100;
 
-  getAllPriceRecommendations() {
     return {
-      'cost-plus': this.getPriceRecommendation('cost-plus'),
-      'competitor': this.getPriceRecommendation('competitor'),
-      'value': this.getPriceRecommendation('value'),
-      'optimal': this.getPriceRecommendation('optimal')
+      presentedPrice,
+      floorApplied: presentedPrice > unconstrained,
+      ceilingApplied: presentedPrice < unconstrained
     };
   }
+
+  toJSON() {
+    return { ladder: this.ladder, bands: this.bands, ending: this.ending, direction: this.direction };
+  }
 }
 
-// Simple ScenarioModel for testing
-class ScenarioModel {
-  constructor() {
-    this.scenarios = {};
+// Business constraints every recommendation must satisfy. Options (all optional):
+// - minMargin: a margin, or { strategyName: margin, default: margin } per strategy
+// - maxChange: { currentPrice, maxIncrease, maxDecrease } as shares of the current price
+// - minimumAdvertisedPrice: lowest price that may be advertised
+// - competitorCeiling: highest price as a multiple of the most expensive active competitor
+// - segmentOrder: segment names from cheapest to most expensive, for per-segment prices
+// The minimum viable price is always a constraint, so guardrails never lower a price below it.
+class PriceGuardrails {
+  constructor({ minMargin = null, maxChange = null, minimumAdvertisedPrice = null, competitorCeiling = null, segmentOrder = null } = {}) {
+    if (minMargin !== null) {
+      const margins = typeof minMargin === 'object' ? minMargin : { default: minMargin };
+      Object.entries(margins).forEach(([strategy, margin]) => {
+        requireNumber(`guardrails.minMargin.${strategy}`, margin, { max: 1, maxExclusive: true });
+      });
+      this.minMargin = { ...margins };
+    } else {
+      this.minMargin = null;
+    }
+    if (maxChange !== null) {
+      const maxIncrease = requireNumber('guardrails.maxChange.maxIncrease', maxChange.maxIncrease, { min: 0 });
+      this.maxChange = {
+        currentPrice: requireNumber('guardrails.maxChange.currentPrice', maxChange.currentPrice, { min: 0, minExclusive: true }),
+        maxIncrease,
+        maxDecrease: maxChange.maxDecrease !== undefined
+          ? requireNumber('guardrails.maxChange.maxDecrease', maxChange.maxDecrease, { min: 0, max: 1 })
+          : Math.min(maxIncrease, 1)
+      };
+    } else {
+      this.maxChange = null;
+    }
+    this.minimumAdvertisedPrice = minimumAdvertisedPrice !== null
+      ? requireNumber('guardrails.minimumAdvertisedPrice', minimumAdvertisedPrice, { min: 0 })
+      : null;
+    this.competitorCeiling = competitorCeiling !== null
+      ? requireNumber('guardrails.competitorCeiling', competitorCeiling, { min: 0, minExclusive: true })
+      : null;
+    if (segmentOrder !== null && (!Array.isArray(segmentOrder) || segmentOrder.length < 2)) {
+      throw new ValidationError('guardrails.segmentOrder', segmentOrder, 'must list at least two segment names');
+    }
+    this.segmentOrder = segmentOrder ? [...segmentOrder] : null;
   }
-  
-  saveScenario(name, data) {
-    this.scenarios[name] = {
-      ...data,
-      createdAt: new Date().toISOString()
+
+  getMinMargin(strategy) {
+    if (!this.minMargin) return null;
+    return this.minMargin[strategy] !== undefined ? this.minMargin[strategy] : (this.minMargin.default !== undefined ? this.minMargin.default : null);
+  }
+
+  // Each constraint as a price range { name, min, max }. A target price already under the minimum
+  // viable price (e.g. a budget cost-plus price) is its own floor.
+  getConstraints(pricingModel, strategy, targetPrice = Infinity) {
+    const constraints = [];
+    const costModel = pricingModel.costModel;
+
+    const minMargin = this.getMinMargin(strategy);
+    if (minMargin !== null) {
+      constraints.push({
+        name: `minimum ${(minMargin * 100).toFixed(1)}% margin`,
+        min: costModel.calculateTotalCostPerUnit() / (1 - minMargin) / costModel.calculateRevenuePerUnit(1),
+        max: Infinity
+      });
+    }
+    if (this.maxChange) {
+      const { currentPrice, maxIncrease, maxDecrease } = this.maxChange;
+      constraints.push({
+        name: `maximum change from ${pricingModel.formatAmount(currentPrice)}`,
+        min: currentPrice * (1 - maxDecrease),
+        max: currentPrice * (1 + maxIncrease)
+      });
+    }
+    if (this.minimumAdvertisedPrice !== null) {
+      constraints.push({ name: 'minimum advertised price', min: this.minimumAdvertisedPrice, max: Infinity });
+    }
+    const active = pricingModel.getActiveCompetitors();
+    if (this.competitorCeiling !== null && active.length > 0) {
+      const top = Math.max(...active.map(competitor => pricingModel.getCompetitorPrice(competitor)));
+      constraints.push({ name: `ceiling at ${this.competitorCeiling}x the top competitor`, min: 0, max: top * this.competitorCeiling });
+    }
+    constraints.push({
+      name: 'minimum viable price',
+      min: Math.min(targetPrice, costModel.calculateMinimumViablePrice()),
+      max: Infinity
+    });
+    return constraints;
+  }
+
+  // Pairs of constraints whose ranges do not overlap, described for the user
+  findConflicts(pricingModel, constraints) {
+    const conflicts = [];
+    constraints.forEach(low => {
+      constraints.forEach(high => {
+        if (low !== high && low.min > high.max + 1e-9) {
+          conflicts.push({
+            constraints: [low.name, high.name],
+            reason: `${low.name} needs at least ${pricingModel.formatAmount(low.min)} but ${high.name} allows at most ${pricingModel.formatAmount(high.max)}`
+          });
+        }
+      });
+    });
+    return conflicts;
+  }
+
+  // The price closest to `targetPrice` that satisfies every constraint, or the conflicts if none can
+  solve(pricingModel, targetPrice, strategy = 'optimal') {
+    const constraints = this.getConstraints(pricingModel, strategy, targetPrice);
+    const min = constraints.reduce((lowest, constraint) => Math.max(lowest, constraint.min), 0);
+    const max = constraints.reduce((highest, constraint) => Math.min(highest, constraint.max), Infinity);
+
+    if (min > max + 1e-9) {
+      return {
+        feasible: false,
+        targetPrice,
+        price: null,
+        range: { min, max },
+        binding: [],
+        conflicts: this.findConflicts(pricingModel, constraints)
+      };
+    }
+
+    const price = Math.min(Math.max(targetPrice, min), max);
+    const binding = price === targetPrice ? [] : constraints
+      .filter(constraint => Math.abs(constraint.min - price) < 1e-9 || Math.abs(constraint.max - price) < 1e-9)
+      .map(constraint => constraint.name);
+    return { feasible: true, targetPrice, price, range: { min, max }, binding, conflicts: [] };
+  }
+
+  // Per-segment prices kept in segmentOrder (out-of-order neighbours meet at their average) and
+  // each within the constraints
+  solveSegmentPrices(pricingModel, targetPrices, strategy = 'optimal') {
+    const segmentOrder = this.segmentOrder || [];
+    segmentOrder.forEach((name, index) => {
+      if (!pricingModel.segments.some(segment => segment.name === name)) {
+        throw new ValidationError(`guardrails.segmentOrder[${index}]`, name, 'must name a customer segment');
+      }
+    });
+
+    // Pool adjacent violators over the ordered segments
+    const blocks = [];
+    segmentOrder.filter(name => targetPrices[name] !== undefined).forEach(name => {
+      blocks.push({ names: [name], price: targetPrices[name] });
+      while (blocks.length > 1 && blocks[blocks.length - 2].price > blocks[blocks.length - 1].price) {
+        const last = blocks.pop();
+        const names = [...blocks.pop().names, ...last.names];
+        blocks.push({ names, price: names.reduce((sum, segmentName) => sum + targetPrices[segmentName], 0) / names.length });
+      }
+    });
+    const orderedPrices = { ...targetPrices };
+    blocks.forEach(block => block.names.forEach(name => {
+      orderedPrices[name] = block.price;
+    }));
+
+    // Clamping every price into the same range keeps the order
+    const prices = {};
+    const conflicts = [];
+    Object.keys(targetPrices).forEach(name => {
+      const result = this.solve(pricingModel, orderedPrices[name], strategy);
+      prices[name] = result.feasible ? Math.round(result.price * 100) / 100 : null;
+      result.conflicts.forEach(conflict => {
+        if (!conflicts.some(existing => existing.reason === conflict.reason)) {
+          conflicts.push(conflict);
+        }
+      });
+    });
+
+    return {
+      feasible: conflicts.length === 0,
+      prices,
+      adjusted: Object.keys(targetPrices).filter(name => prices[name] !== null && Math.abs(prices[name] - targetPrices[name]) > 0.005),
+      conflicts
     };
-    return true;
   }
-  
-  getScenario(name) {
-    return this.scenarios[name] || null;
+}
+
+// Built-in market positions; `index` places each on the 0-100 position scale
+const DEFAULT_MARKET_POSITIONS = {
+  'budget': { index: 0, multipliers: { 'cost-plus': 0.9, 'competitor': 0.85, 'value': 0.9 } },
+  'mid-market': { index: 50, multipliers: { 'cost-plus': 1.0, 'competitor': 1.0, 'value': 1.0 } },
+  'premium': { index: 100, multipliers: { 'cost-plus': 1.2, 'competitor': 1.25, 'value': 1.15 } }
+};
+
+// Named market positions with per-strategy price multipliers, as stored in settings:
+// { positions: { name: { index, multipliers: { strategy: multiplier } } } }.
+// Strategies without a multiplier for a position are not adjusted by it.
+class MarketPositionTable {
+  constructor() {
+    this.positions = {};
   }
-  
-  getAllScenarios() {
-    return this.scenarios;
+
+  static createDefault() {
+    return MarketPositionTable.fromJSON({ positions: DEFAULT_MARKET_POSITIONS });
   }
-  
-  deleteScenario(name) {
-    if (this.scenarios[name]) {
-      delete this.scenarios[name];
+
+  // Accepts the JSON text of the settings entry or the parsed object
+  static fromJSON(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    const table = new MarketPositionTable();
+    Object.entries(data.positions || {}).forEach(([name, position]) => table.definePosition(name, position));
+    return table;
+  }
+
+  // Redefining an existing name replaces it
+  definePosition(name, { index, multipliers = {} }) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new ValidationError('marketPositions', name, 'position names must be non-empty strings');
+    }
+    requireNumber(`marketPositions.${name}.index`, index, { min: 0, max: 100 });
+    const taken = Object.entries(this.positions).find(([other, position]) => other !== name && position.index === Number(index));
+    if (taken) {
+      throw new ValidationError(`marketPositions.${name}.index`, index, `is already used by "${taken[0]}"`);
+    }
+
+    const parsedMultipliers = {};
+    Object.entries(multipliers).forEach(([strategy, multiplier]) => {
+      parsedMultipliers[strategy] = requireNumber(`marketPositions.${name}.multipliers.${strategy}`, multiplier, { min: 0, minExclusive: true });
+    });
+    this.positions[name] = { index: Number(index), multipliers: parsedMultipliers };
+    return true;
+  }
+
+  removePosition(name) {
+    if (this.positions[name]) {
+      delete this.positions[name];
       return true;
     }
     return false;
   }
-  
-  compareScenarios(scenario1Name, scenario2Name) {
-    const scenario1 = this.getScenario(scenario1Name);
-    const scenario2 = this.getScenario(scenario2Name);
-    
-    if (!scenario1 || !scenario2) {
-      return null;
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.positions, name);
+  }
+
+  // Names in ascending price order
+  getNames() {
+    return Object.keys(this.positions).sort((a, b) => this.positions[a].index - this.positions[b].index);
+  }
+
+  getMultiplier(name, strategy) {
+    const multiplier = this.positions[name].multipliers[strategy];
+    return multiplier !== undefined ? multiplier : 1;
+  }
+
+  // Linear interpolation between the positions on either side of `index`; beyond the outermost
+  // positions their multiplier applies
+  interpolateMultiplier(index, strategy) {
+    const names = this.getNames();
+    const lowerName = [...names].reverse().find(name => this.positions[name].index <= index) || names[0];
+    const upperName = names.find(name => this.positions[name].index >= index) || names[names.length - 1];
+    const lower = this.positions[lowerName];
+    const upper = this.positions[upperName];
+    if (lowerName === upperName) {
+      return this.getMultiplier(lowerName, strategy);
     }
-    
-    // Create comparison results
-    return {
-      names: {
-        scenario1: scenario1Name,
-        scenario2: scenario2Name
-      },
-      prices: {
-        scenario1: scenario1.pricingStrategy?.priceRecommendations?.optimal?.price || 0,
-        scenario2: scenario2.pricingStrategy?.priceRecommendations?.optimal?.price || 0,
-        difference: (scenario1.pricingStrategy?.priceRecommendations?.optimal?.price || 0) - 
-                   (scenario2.pricingStrategy?.priceRecommendations?.optimal?.price || 0)
-      },
-      margins: {
-        scenario1: scenario1.pricingStrategy?.priceRecommendations?.optimal?.margin || 0,
-        scenario2: scenario2.pricingStrategy?.priceRecommendations?.optimal?.margin || 0,
-        difference: (scenario1.pricingStrategy?.priceRecommendations?.optimal?.margin || 0) - 
-                   (scenario2.pricingStrategy?.priceRecommendations?.optimal?.margin || 0)
-      }
-    };
+    const share = (index - lower.index) / (upper.index - lower.index);
+    return this.getMultiplier(lowerName, strategy) + (this.getMultiplier(upperName, strategy) - this.getMultiplier(lowerName, strategy)) * share;
+  }
+
+  getNearestPosition(index) {
+    return this.getNames().reduce((nearest, name) => (
+      nearest === null || Math.abs(this.positions[name].index - index) < Math.abs(this.positions[nearest].index - index) ? name : nearest
+    ), null);
+  }
+
+  toJSON() {
+    const positions = {};
+    Object.entries(this.positions).forEach(([name, position]) => {
+      positions[name] = { index: position.index, multipliers: { ...position.multipliers } };
+    });
+    return { positions };
   }
 }
 
-// Run tests
+// PricingModel simulation
+class PricingModel {
+  constructor(costModel) {
+    this.costModel = costModel;
+    this.competitors = [];
+    this.valueFactors = [];
+    this.customerSegmentModel = new CustomerSegmentModel();
+    this.marketPositions = MarketPositionTable.createDefault(); // Replace with the positions from settings
+    this.marketPosition = 'mid-market'; // A name in marketPositions
+    this.positionIndex = null; // 0-100 when set; multipliers then interpolate between positions
+    this.baseDemand = 100; // Default reference demand
+    this.demandSettings = { type: 'constant-elasticity', referencePrice: null };
+    this.blendSettings = { mode: 'fixed', weights: null }; // null uses each strategy's defaultWeight
+    this.benchmarkSettings = {
+      method: 'mean',
+      trimRatio: 0.1, // Share trimmed from each end for 'trimmed-mean'
+      percentile: 50, // Target percentile for 'percentile'
+      maxAgeDays: null, // Observations older than this are stale
+      staleHandling: 'flag', // 'flag' keeps stale competitors in the benchmark, 'exclude' drops them
+      asOfDate: null // Reference date for competitor ages; required with maxAgeDays
+    };
+    this.valueScoringSettings = {
+      missingScores: 'neutral', // 'neutral' scores neutralScore, 'ours' matches our score, 'exclude' drops the factor
+      neutralScore: 5,
+      minRegressionPoints: 3 // Fewer scored competitors use the market value-to-price ratio instead
+    };
+    this.strategies = pricingStrategies.clone();
+    this.pricePresentation = null; // PricePresenter applied after every strategy, if set
+    this.guardrails = null; // PriceGuardrails enforced on every recommendation, if set
+  }
 
-function runTests() {
-  console.log("Running Dynamic Pricing Optimizer Model Tests\n");
-  
-  // Test 1: CostModel Basic Functionality
-  console.log("Test 1: CostModel Basic Functionality");
-  const costModel = new CostModel('service');
-  costModel.addDirectCost('Materials', 50);
-  costModel.addIndirectCost('Office Space', 2000, 'month');
-  costModel.addTimeCost('Developer', 75, 8);
-  costModel.setTargetMargin(0.30);
-  costModel.setExpectedVolume(20);
+  // Pass PriceGuardrails options, or null to only floor at the minimum viable price
+  setGuardrails(options) {
+    this.guardrails = options === null ? null : new PriceGuardrails(options);
+  }
 
-  console.log("Direct Costs:", costModel.calculateTotalDirectCost());
-  console.log("Time Costs:", costModel.calculateTotalTimeCost());
-  console.log("Indirect Costs (allocated):", costModel.calculateAllocatedIndirectCost());
-  console.log("Total Cost Per Unit:", costModel.calculateTotalCostPerUnit());
-  console.log("Minimum Viable Price:", costModel.calculateMinimumViablePrice());
-  console.log("Break-Even Volume at $1200:", costModel.calculateBreakEvenVolume(1200));
+  // Pass PricePresenter options, or null to show raw prices only
+  setPricePresentation(options) {
+    this.pricePresentation = options === null ? null : new PricePresenter(options);
+  }
 
-  // Test 2: PricingModel with cost-plus strategy
-  console.log("\nTest 2: PricingModel with cost-plus strategy");
-  const pricingModel = new PricingModel(costModel);
-  const costPlusPrice = pricingModel.calculateCostPlusPrice();
-  console.log("Cost-Plus Price:", costPlusPrice);
-  console.log("Cost-Plus Recommendation:", JSON.stringify(pricingModel.getPriceRecommendation('cost-plus')));
+  // Raw and presented price with the margin impact of rounding; never rounds below the minimum
+  // viable price (or below the raw price when a strategy is already under it), nor outside
+  // `range`, the { min, max } the guardrails allow
+  presentPrice(rawPrice, range = {}) {
+    const minimumViablePrice = this.costModel.calculateMinimumViablePrice();
+    const min = Math.max(minimumViablePrice, range.min !== undefined ? range.min : 0);
+    const max = range.max !== undefined ? range.max : Infinity;
+    const { presentedPrice, floorApplied, ceilingApplied } = this.pricePresentation.present(rawPrice, {
+      min: Math.min(rawPrice, min),
+      max: Math.max(rawPrice, max)
+    });
+    const rawMargin = this.costModel.calculateMarginAtPrice(rawPrice);
+    const presentedMargin = this.costModel.calculateMarginAtPrice(presentedPrice);
 
-  // Test 3: PricingModel with competitors
-  console.log("\nTest 3: PricingModel with competitors");
-  pricingModel.addCompetitor('Competitor A', 1000);
-  pricingModel.addCompetitor('Competitor B', 1200);
-  const competitorPrice = pricingModel.calculateCompetitorIndexedPrice();
-  console.log("Competitor-Indexed Price:", competitorPrice);
-  console.log("Competitor-Based Recommendation:", JSON.stringify(pricingModel.getPriceRecommendation('competitor')));
+    return {
+      rawPrice: Math.round(rawPrice * 100) / 100,
+      presentedPrice,
+      priceChange: Math.round((presentedPrice - rawPrice) * 100) / 100,
+      rawMargin,
+      presentedMargin,
+      marginImpact: presentedMargin - rawMargin,
+      floorApplied,
+      ceilingApplied
+    };
+  }
 
-  // Test 4: PricingModel with value factors
-  console.log("\nTest 4: PricingModel with value factors");
-  pricingModel.addValueFactor('Quality', 8, 9);
-  pricingModel.addValueFactor('Support', 6, 8);
-  pricingModel.addValueFactor('Features', 7, 7);
-  const valuePrice = pricingModel.calculateValueBasedPrice();
-  console.log("Value-Based Price:", valuePrice);
-  console.log("Value-Based Recommendation:", JSON.stringify(pricingModel.getPriceRecommendation('value')));
+  registerStrategy(name, definition) {
+    return this.strategies.register(name, definition);
+  }
 
-  // Test 5: Market position impact
-  console.log("\nTest 5: Market position impact");
-  console.log("Mid-market pricing:", JSON.stringify(pricingModel.getPriceRecommendation('optimal')));
-  pricingModel.setMarketPosition('premium');
-  console.log("Premium pricing:", JSON.stringify(pricingModel.getPriceRecommendation('optimal')));
-  pricingModel.setMarketPosition('budget');
-  console.log("Budget pricing:", JSON.stringify(pricingModel.getPriceRecommendation('optimal')));
+  unregisterStrategy(name) {
+    return this.strategies.unregister(name);
+  }
 
-  // Test 6: Customer segments
-  console.log("\nTest 6: Customer segments");
-  const enterpriseId = pricingModel.addSegment('Enterprise', 30, 3, 'Large enterprise customers');
-  const smbId = pricingModel.addSegment('SMB', 50, 7, 'Small and medium businesses');
-  const startupId = pricingModel.addSegment('Startup', 20, 9, 'Early-stage startups');
-  console.log("Customer Segments:", pricingModel.segments);
-  
-  // Test segment update and removal
-  console.log("\nTest 7: Customer segment operations");
-  const updateResult = pricingModel.customerSegmentModel.updateSegment(smbId, { size: 55, description: 'Updated SMB description' });
-  console.log("Update Result:", updateResult);
-  console.log("Updated Segments:", pricingModel.segments);
-  
-  const removeResult = pricingModel.customerSegmentModel.removeSegment(startupId);
-  console.log("Remove Result:", removeResult);
-  console.log("Remaining Segments:", pricingModel.segments);
-  
-  // Test weighted elasticity
-  console.log("\nTest 8: Weighted elasticity");
-  console.log("Weighted Elasticity:", pricingModel.customerSegmentModel.calculateWeightedElasticity());
+  // Pass 'auto' to weight each strategy by its confidence and drop strategies that fell back,
+  // or an object of fixed weights by strategy name (missing strategies get 0)
+  setBlendWeights(weights) {
+    if (weights === 'auto') {
+      this.blendSettings = { mode: 'auto', weights: null };
+      return;
+    }
 
-  // Test 9: Get all price recommendations
-  console.log("\nTest 9: All price recommendations");
-  console.log(JSON.stringify(pricingModel.getAllPriceRecommendations(), null, 2));
+    if (!weights || typeof weights !== 'object') {
+      throw new ValidationError('blendWeights', weights, 'must be "auto" or an object of weights by strategy');
+    }
 
-  // Test 10: Scenario Model
-  console.log("\nTest 10: ScenarioModel functionality");
-  const scenarioModel = new ScenarioModel();
-  
-  // Save scenarios
-  scenarioModel.saveScenario('Basic Strategy', {
-    costAnalysis: {
-      costBreakdown: { total: 750, direct: 50, time: 600, indirect: 100 }
-    },
-    pricingStrategy: {
-      marketPosition: 'mid-market',
-      priceRecommendations: {
-        optimal: { price: 1071.43, margin: 0.30 }
+    const blendedStrategies = this.strategies.getBlendedNames();
+    const parsed = {};
+    Object.keys(weights).forEach(strategy => {
+      if (!blendedStrategies.includes(strategy)) {
+        throw new ValidationError(`blendWeights.${strategy}`, weights[strategy], `is not one of ${blendedStrategies.join(', ')}`);
       }
+      parsed[strategy] = requireNumber(`blendWeights.${strategy}`, weights[strategy], { min: 0 });
+    });
+    if (Object.values(parsed).every(weight => weight === 0)) {
+      throw new ValidationError('blendWeights', weights, 'at least one weight must be greater than 0');
     }
-  });
-  
-  scenarioModel.saveScenario('Premium Strategy', {
+
+    this.blendSettings = { mode: 'fixed', weights: parsed };
+  }
+
+  // Why a strategy fell back to a substitute calculation, or null when it used its own inputs
+  getStrategyFallback(strategy) {
+    const definition = this.strategies.get(strategy);
+    return definition && definition.fallback ? definition.fallback(this) : null;
+  }
+
+  getBlendWeight(strategy) {
+    const { weights } = this.blendSettings;
+    if (weights === null) {
+      return this.strategies.get(strategy).defaultWeight;
+    }
+    return weights[strategy] || 0;
+  }
+
+  // Weighted blend of the component strategies for the optimal recommendation
+  calculateBlendedPrice() {
+    const auto = this.blendSettings.mode === 'auto';
+    const components = {};
+    const excludedStrategies = {};
+
+    this.strategies.getBlendedNames().forEach(strategy => {
+      const fallback = this.getStrategyFallback(strategy);
+      if (auto && fallback) {
+        excludedStrategies[strategy] = fallback;
+        return;
+      }
+      if (!auto && this.getBlendWeight(strategy) === 0) {
+        return;
+      }
+      // Blend the strategy outputs; guardrails and presentation apply once to the blended price
+      components[strategy] = this.computeStrategy(strategy);
+    });
+
+    const rawWeights = {};
+    Object.entries(components).forEach(([strategy, recommendation]) => {
+      rawWeights[strategy] = auto ? recommendation.confidenceLevel : this.getBlendWeight(strategy);
+    });
+    const totalWeight = Object.values(rawWeights).reduce((sum, weight) => sum + weight, 0);
+
+    // Nothing left to blend (e.g. every strategy fell back or was unregistered): use cost-plus
+    if (totalWeight === 0) {
+      return {
+        price: this.calculateCostPlusPrice(),
+        mode: this.blendSettings.mode,
+        appliedWeights: {},
+        componentPrices: {},
+        excludedStrategies,
+        dispersion: 0,
+        confidenceLevel: 0.4
+      };
+    }
+
+    const appliedWeights = {};
+    Object.entries(rawWeights).forEach(([strategy, weight]) => {
+      appliedWeights[strategy] = weight / totalWeight;
+    });
+
+    const price = Object.entries(appliedWeights).reduce(
+      (sum, [strategy, weight]) => sum + components[strategy].price * weight, 0
+    );
+    const weightedConfidence = Object.entries(appliedWeights).reduce(
+      (sum, [strategy, weight]) => sum + components[strategy].confidenceLevel * weight, 0
+    );
+
+    // Strategies that disagree lower confidence: scale by the coefficient of variation, capped at half
+    const variance = Object.entries(appliedWeights).reduce(
+      (sum, [strategy, weight]) => sum + weight * Math.pow(components[strategy].price - price, 2), 0
+    );
+    const dispersion = price > 0 ? Math.sqrt(variance) / price : 0;
+
+    const componentPrices = {};
+    Object.keys(appliedWeights).forEach(strategy => {
+      componentPrices[strategy] = Math.round(components[strategy].price * 100) / 100;
+    });
+
+    return {
+      price,
+      mode: this.blendSettings.mode,
+      appliedWeights,
+      componentPrices,
+      excludedStrategies,
+      dispersion,
+      confidenceLevel: weightedConfidence * (1 - Math.min(dispersion, 0.5))
+    };
+  }
+
+  // `referencePrice` anchors baseDemand; null uses the average competitor price (or cost-plus)
+  setDemandModel(type, referencePrice = null) {
+    if (!DEMAND_MODEL_TYPES.includes(type)) {
+      throw new ValidationError('demandModel', type, `must be one of ${DEMAND_MODEL_TYPES.join(', ')}`);
+    }
+    this.demandSettings = {
+      type,
+      referencePrice: referencePrice === null ? null : requireNumber('referencePrice', referencePrice, { min: 0, minExclusive: true })
+    };
+  }
+
+  setBaseDemand(demand) {
+    this.baseDemand = requireNumber('baseDemand', demand, { min: 0, minExclusive: true });
+  }
+
+  getDemandModel() {
+    return new DemandModel(this, this.demandSettings);
+  }
+
+  get segments() {
+    return this.customerSegmentModel.segments || [];
+  }
+
+  // Options:
+  // - currency: defaults to the cost model's reporting currency
+  // - marketShare (0-1) and matchQuality (0-1, how closely their product matches ours) weight the benchmark
+  // - observedAt: date the price was observed; the first entry of the competitor's price history
+  addCompetitor(name, price, attributes = {}, options = {}) {
+    const prefix = `competitors[${this.competitors.length}]`;
+    const observation = {
+      price: requireNumber(`${prefix}.price`, price, { min: 0, minExclusive: true }),
+      observedAt: toISODate(`${prefix}.observedAt`, options.observedAt)
+    };
+
+    this.competitors.push({
+      name,
+      price: observation.price,
+      currency: this.costModel.parseCurrency(`${prefix}.currency`, options.currency),
+      attributes,
+      marketShare: options.marketShare !== undefined
+        ? requireNumber(`${prefix}.marketShare`, options.marketShare, { min: 0, max: 1 })
+        : null,
+      matchQuality: requireNumber(`${prefix}.matchQuality`, options.matchQuality !== undefined ? options.matchQuality : 1, { min: 0, max: 1 }),
+      observedAt: observation.observedAt,
+      priceHistory: [observation]
+    });
+  }
+
+  // Records a new price observation; the latest observation becomes the competitor's price
+  addCompetitorObservation(name, price, observedAt) {
+    const index = this.competitors.findIndex(c => c.name === name);
+    if (index < 0) {
+      throw new ValidationError('competitor', name, 'is not a known competitor');
+    }
+
+    const competitor = this.competitors[index];
+    const prefix = `competitors[${index}].priceHistory[${competitor.priceHistory.length}]`;
+    competitor.priceHistory.push({
+      price: requireNumber(`${prefix}.price`, price, { min: 0, minExclusive: true }),
+      observedAt: toISODate(`${prefix}.observedAt`, observedAt)
+    });
+    // Undated observations sort first so any dated observation counts as more recent
+    competitor.priceHistory.sort((a, b) => (a.observedAt || '').localeCompare(b.observedAt || ''));
+
+    const latest = competitor.priceHistory[competitor.priceHistory.length - 1];
+    competitor.price = latest.price;
+    competitor.observedAt = latest.observedAt;
+    return true;
+  }
+
+  // Price change over the competitor's history: total change and a least-squares slope per 30 days
+  getCompetitorTrend(competitor) {
+    const dated = competitor.priceHistory.filter(observation => observation.observedAt);
+    if (dated.length < 2) {
+      return { observations: competitor.priceHistory.length, change: 0, changeRatio: 0, slopePer30Days: 0 };
+    }
+
+    const points = dated.map(observation => ({
+      days: (Date.parse(observation.observedAt) - Date.parse(dated[0].observedAt)) / DAY_MS,
+      price: this.costModel.convertToReporting(observation.price, competitor.currency)
+    }));
+    const meanDays = points.reduce((sum, point) => sum + point.days, 0) / points.length;
+    const meanPrice = points.reduce((sum, point) => sum + point.price, 0) / points.length;
+    const covariance = points.reduce((sum, point) => sum + (point.days - meanDays) * (point.price - meanPrice), 0);
+    const variance = points.reduce((sum, point) => sum + Math.pow(point.days - meanDays, 2), 0);
+
+    const first = points[0].price;
+    const last = points[points.length - 1].price;
+    return {
+      observations: competitor.priceHistory.length,
+      change: last - first,
+      changeRatio: (last - first) / first,
+      slopePer30Days: variance > 0 ? (covariance / variance) * 30 : 0
+    };
+  }
+
+  setBenchmarkOptions(options = {}) {
+    const settings = { ...this.benchmarkSettings, ...options };
+
+    if (!BENCHMARK_METHODS.includes(settings.method)) {
+      throw new ValidationError('benchmark.method', settings.method, `must be one of ${BENCHMARK_METHODS.join(', ')}`);
+    }
+    if (!['flag', 'exclude'].includes(settings.staleHandling)) {
+      throw new ValidationError('benchmark.staleHandling', settings.staleHandling, 'must be "flag" or "exclude"');
+    }
+    settings.trimRatio = requireNumber('benchmark.trimRatio', settings.trimRatio, { min: 0, max: 0.5, maxExclusive: true });
+    settings.percentile = requireNumber('benchmark.percentile', settings.percentile, { min: 0, max: 100 });
+    if (settings.maxAgeDays !== null) {
+      settings.maxAgeDays = requireNumber('benchmark.maxAgeDays', settings.maxAgeDays, { min: 0 });
+    }
+    settings.asOfDate = toISODate('benchmark.asOfDate', settings.asOfDate);
+    if (settings.maxAgeDays !== null && settings.asOfDate === null) {
+      throw new ValidationError('benchmark.asOfDate', settings.asOfDate, 'is required when maxAgeDays is set');
+    }
+
+    this.benchmarkSettings = settings;
+  }
+
+  // Age in days of a competitor's latest observation at the benchmark's as-of date,
+  // or null when the observation is undated or no as-of date is set
+  getCompetitorAgeDays(competitor) {
+    const { asOfDate } = this.benchmarkSettings;
+    if (!competitor.observedAt || !asOfDate) {
+      return null;
+    }
+    return Math.floor((Date.parse(asOfDate) - Date.parse(competitor.observedAt)) / DAY_MS);
+  }
+
+  isCompetitorStale(competitor) {
+    const { maxAgeDays } = this.benchmarkSettings;
+    const age = this.getCompetitorAgeDays(competitor);
+    return maxAgeDays !== null && age !== null && age > maxAgeDays;
+  }
+
+  // Competitors that take part in the benchmark (stale ones are dropped when excluding)
+  getActiveCompetitors() {
+    if (this.benchmarkSettings.staleHandling !== 'exclude') {
+      return this.competitors;
+    }
+    return this.competitors.filter(competitor => !this.isCompetitorStale(competitor));
+  }
+
+  // Share assumed for competitors without a market share: the unallocated remainder split
+  // equally between them, else the average known share, else 1 (equal weights)
+  getMissingMarketShare() {
+    const known = this.competitors.filter(competitor => competitor.marketShare !== null);
+    const missingCount = this.competitors.length - known.length;
+    if (known.length === 0 || missingCount === 0) {
+      return 1;
+    }
+    const knownTotal = known.reduce((sum, competitor) => sum + competitor.marketShare, 0);
+    return knownTotal < 1 ? (1 - knownTotal) / missingCount : knownTotal / known.length;
+  }
+
+  // Benchmark competitor price using the configured method, with per-competitor detail
+  calculateCompetitorBenchmark() {
+    const settings = this.benchmarkSettings;
+    const active = this.getActiveCompetitors();
+    const missingShare = this.getMissingMarketShare();
+
+    const entries = this.competitors.map(competitor => ({
+      name: competitor.name,
+      price: this.getCompetitorPrice(competitor),
+      observedAt: competitor.observedAt,
+      ageDays: this.getCompetitorAgeDays(competitor),
+      stale: this.isCompetitorStale(competitor),
+      included: active.includes(competitor),
+      // Match quality scales every weight
+      weight: (competitor.marketShare !== null ? competitor.marketShare : missingShare) * competitor.matchQuality,
+      trend: this.getCompetitorTrend(competitor)
+    }));
+
+    const included = entries.filter(entry => entry.included);
+    return {
+      method: settings.method,
+      asOfDate: settings.asOfDate,
+      price: included.length > 0 ? this.aggregatePrices(included, settings) : null,
+      competitors: entries,
+      staleCount: entries.filter(entry => entry.stale).length,
+      excludedCount: entries.length - included.length
+    };
+  }
+
+  aggregatePrices(entries, settings) {
+    const prices = entries.map(entry => entry.price).sort((a, b) => a - b);
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    switch (settings.method) {
+      case 'weighted-mean': {
+        const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+        if (totalWeight === 0) {
+          return mean(prices);
+        }
+        return entries.reduce((sum, entry) => sum + entry.price * entry.weight, 0) / totalWeight;
+      }
+
+      case 'median':
+        return this.interpolatePercentile(prices, 50);
+
+      case 'trimmed-mean': {
+        const trimCount = Math.floor(prices.length * settings.trimRatio);
+        return mean(prices.slice(trimCount, prices.length - trimCount));
+      }
+
+      case 'percentile':
+        return this.interpolatePercentile(prices, settings.percentile);
+
+      case 'mean':
+      default:
+        return mean(prices);
+    }
+  }
+
+  // Linear interpolation between closest ranks on sorted values
+  interpolatePercentile(sortedValues, percentile) {
+    const position = (percentile / 100) * (sortedValues.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+  }
+
+  // Competitor price in the cost model's reporting currency
+  getCompetitorPrice(competitor) {
+    return this.costModel.convertToReporting(competitor.price, competitor.currency);
+  }
+
+  addValueFactor(name, importance, score) {
+    const prefix = `valueFactors[${this.valueFactors.length}]`;
+    this.valueFactors.push({
+      name,
+      importance: requireNumber(`${prefix}.importance`, importance, { min: 0 }),
+      score: requireNumber(`${prefix}.score`, score, { min: 0 })
+    });
+  }
+
+  addSegment(name, size, priceElasticity, description = '') {
+    const prefix = `segments[${this.segments.length}]`;
+    requireNumber(`${prefix}.size`, size, { min: 0 });
+    requireNumber(`${prefix}.priceElasticity`, priceElasticity, { min: 1, max: 10 });
+    // Convert priceElasticity from 1-10 scale to -10 to 0 scale
+    const elasticity = -((priceElasticity / 10) * 9.5 + 0.5);
+    return this.customerSegmentModel.addSegment(name, size, elasticity, description);
+  }
+
+  setMarketPosition(position) {
+    if (this.marketPositions.has(position)) {
+      this.marketPosition = position;
+      this.positionIndex = null;
+    } else {
+      throw new ValidationError('marketPosition', position, `must be one of ${this.marketPositions.getNames().join(', ')}`);
+    }
+  }
+
+  // Accepts a MarketPositionTable or its settings JSON. If the current position is not in the
+  // new table, the position nearest the middle of the scale is selected.
+  setMarketPositions(positions) {
+    const table = positions instanceof MarketPositionTable ? positions : MarketPositionTable.fromJSON(positions);
+    if (table.getNames().length === 0) {
+      throw new ValidationError('marketPositions', positions, 'must define at least one position');
+    }
+    this.marketPositions = table;
+    if (!table.has(this.marketPosition)) {
+      this.marketPosition = table.getNearestPosition(this.positionIndex !== null ? this.positionIndex : 50);
+    }
+  }
+
+  // A point on the 0-100 position scale; marketPosition follows the nearest named position
+  setPositionIndex(index) {
+    this.positionIndex = requireNumber('positionIndex', index, { min: 0, max: 100 });
+    this.marketPosition = this.marketPositions.getNearestPosition(this.positionIndex);
+  }
+
+  getPositionMultiplier(strategy) {
+    return {
+      name: this.positionIndex !== null ? `position index ${this.positionIndex}` : `${this.marketPosition} position`,
+      value: this.positionIndex !== null
+        ? this.marketPositions.interpolateMultiplier(this.positionIndex, strategy)
+        : this.marketPositions.getMultiplier(this.marketPosition, strategy)
+    };
+  }
+
+  // Problems in this model and its cost model; cost model fields are prefixed with `costModel.`
+  validate() {
+    const errors = this.costModel.validate().map(
+      error => new ValidationError(`costModel.${error.field}`, error.value, error.reason)
+    );
+
+    this.competitors.forEach((competitor, index) => {
+      errors.push(checkNumber(`competitors[${index}].price`, competitor.price, { min: 0, minExclusive: true }));
+      errors.push(this.costModel.checkCurrency(`competitors[${index}].currency`, competitor.currency));
+      if (competitor.marketShare !== null && competitor.marketShare !== undefined) {
+        errors.push(checkNumber(`competitors[${index}].marketShare`, competitor.marketShare, { min: 0, max: 1 }));
+      }
+      if (competitor.matchQuality !== undefined) {
+        errors.push(checkNumber(`competitors[${index}].matchQuality`, competitor.matchQuality, { min: 0, max: 1 }));
+      }
+    });
+
+    this.valueFactors.forEach((factor, index) => {
+      errors.push(checkNumber(`valueFactors[${index}].importance`, factor.importance, { min: 0 }));
+      errors.push(checkNumber(`valueFactors[${index}].score`, factor.score, { min: 0 }));
+    });
+    if (this.valueFactors.length > 0 && this.valueFactors.every(factor => factor.importance === 0)) {
+      errors.push(new ValidationError('valueFactors', this.valueFactors.length, 'at least one value factor needs a non-zero importance'));
+    }
+
+    this.segments.forEach((segment, index) => {
+      errors.push(checkNumber(`segments[${index}].size`, segment.size, { min: 0 }));
+    });
+
+    if (!this.marketPositions.has(this.marketPosition)) {
+      errors.push(new ValidationError('marketPosition', this.marketPosition, `must be one of ${this.marketPositions.getNames().join(', ')}`));
+    }
+    if (this.positionIndex !== null) {
+      errors.push(checkNumber('positionIndex', this.positionIndex, { min: 0, max: 100 }));
+    }
+
+    return errors.filter(Boolean);
+  }
+
+  calculateCostPlusPrice(marginMultiplier = 1) {
+    return this.calculateCostPlusBreakdown(marginMultiplier).price;
+  }
+
+  calculateCompetitorIndexedPrice() {
+    return this.calculateCompetitorIndexedBreakdown().price;
+  }
+
+  calculateValueBasedPrice() {
+    return this.calculateValueBasedBreakdown().price;
+  }
+
+  // Counts of the inputs behind each strategy's confidence level
+  getInputCounts() {
+    return {
+      competitors: this.competitors.length,
+      valueFactors: this.valueFactors.length,
+      segments: this.segments.length
+    };
+  }
+
+  // Common shape of a price breakdown: the base figure, the multipliers applied to it, whether the
+  // minimum viable price floor was applied and binding, and any fallbacks taken
+  createBreakdown(strategy, base, multipliers, { floorApplied = true, fallbacks = [], facts = {} } = {}) {
+    const minimumViablePrice = this.costModel.calculateMinimumViablePrice();
+    const adjustedPrice = multipliers.reduce((price, multiplier) => price * multiplier.value, base.value);
+    const binding = floorApplied && adjustedPrice < minimumViablePrice;
+
+    return {
+      strategy,
+      price: binding ? minimumViablePrice : adjustedPrice,
+      base,
+      multipliers,
+      adjustedPrice,
+      floor: { minimumViablePrice, applied: floorApplied, binding },
+      fallbacks,
+      inputs: this.getInputCounts(),
+      facts
+    };
+  }
+
+  // A strategy that fell back reports the cost-plus breakdown under its own name
+  createFallbackBreakdown(strategy, reason) {
+    const costPlus = this.calculateCostPlusBreakdown();
+    return { ...costPlus, strategy, fallbacks: [reason, ...costPlus.fallbacks] };
+  }
+
+  calculateCostPlusBreakdown(marginMultiplier = 1) {
+    const multipliers = [this.getPositionMultiplier('cost-plus')];
+    if (marginMultiplier !== 1) {
+      multipliers.push({ name: 'margin', value: marginMultiplier });
+    }
+
+    // Cost-plus is the floor itself, so a budget multiplier below 1 is reported rather than floored
+    return this.createBreakdown('cost-plus', {
+      label: 'minimum viable price',
+      value: this.costModel.calculateMinimumViablePrice()
+    }, multipliers, {
+      floorApplied: false,
+      facts: {
+        costPerUnit: this.costModel.calculateTotalCostPerUnit(),
+        expectedVolume: this.costModel.expectedVolume,
+        targetMargin: this.costModel.targetMargin
+      }
+    });
+  }
+
+  calculateCompetitorIndexedBreakdown() {
+    const fallback = this.getStrategyFallback('competitor');
+    if (fallback) {
+      return this.createFallbackBreakdown('competitor', fallback);
+    }
+    
+    const benchmark = this.calculateCompetitorBenchmark();
+    const includedCount = benchmark.competitors.length - benchmark.excludedCount;
+    
+    const methodLabels = {
+      'mean': 'average',
+      'weighted-mean': 'weighted average',
+      'median': 'median',
+      'trimmed-mean': 'trimmed average',
+      'percentile': `${this.benchmarkSettings.percentile}th percentile`
+    };
+    
+    return this.createBreakdown('competitor', {
+      label: `${methodLabels[benchmark.method]} of ${includedCount} competitor price${includedCount === 1 ? '' : 's'}`,
+      value: benchmark.price
+    }, [this.getPositionMultiplier('competitor')], {
+      facts: {
+        benchmarkMethod: benchmark.method,
+        staleCompetitors: benchmark.competitors.filter(entry => entry.stale).map(entry => entry.name),
+        excludedCount: benchmark.excludedCount
+      }
+    });
+  }
+
+  setValueScoringOptions(options = {}) {
+    const settings = { ...this.valueScoringSettings, ...options };
+    if (!MISSING_SCORE_HANDLING.includes(settings.missingScores)) {
+      throw new ValidationError('valueScoring.missingScores', settings.missingScores, `must be one of ${MISSING_SCORE_HANDLING.join(', ')}`);
+    }
+    settings.neutralScore = requireNumber('valueScoring.neutralScore', settings.neutralScore, { min: 0 });
+    settings.minRegressionPoints = requireNumber('valueScoring.minRegressionPoints', settings.minRegressionPoints, { min: 2 });
+    this.valueScoringSettings = settings;
+  }
+
+  // Our importance-weighted score across the value factors
+  calculateOwnValueScore() {
+    return this.valueFactors.reduce(
+      (sum, factor) => sum + (factor.importance * factor.score), 0
+    ) / this.valueFactors.reduce((sum, factor) => sum + factor.importance, 0);
+  }
+
+  // A competitor's score on one of our value factors; attribute names match case-insensitively
+  getCompetitorFactorScore(competitor, factor) {
+    const key = Object.keys(competitor.attributes).find(
+      name => name.trim().toLowerCase() === factor.name.trim().toLowerCase()
+    );
+    return key !== undefined ? Number(competitor.attributes[key]) : null;
+  }
+
+  // A competitor scored on our value factors with our importance weights
+  calculateCompetitorValueScore(competitor) {
+    const { missingScores, neutralScore } = this.valueScoringSettings;
+    let weightedSum = 0;
+    let totalImportance = 0;
+    const missingFactors = [];
+
+    this.valueFactors.forEach(factor => {
+      let score = this.getCompetitorFactorScore(competitor, factor);
+      if (score === null) {
+        missingFactors.push(factor.name);
+        if (missingScores === 'exclude') {
+          return;
+        }
+        score = missingScores === 'ours' ? factor.score : neutralScore;
+      }
+      weightedSum += factor.importance * score;
+      totalImportance += factor.importance;
+    });
+
+    return {
+      score: totalImportance > 0 ? weightedSum / totalImportance : null,
+      missingFactors
+    };
+  }
+
+  // Per-factor advantage (positive) or disadvantage (negative) of our offering against each competitor
+  getValueComparison() {
+    return this.competitors.map(competitor => {
+      const competitorScore = this.calculateCompetitorValueScore(competitor);
+      const factors = this.valueFactors.map(factor => {
+        const theirs = this.getCompetitorFactorScore(competitor, factor);
+        return {
+          name: factor.name,
+          importance: factor.importance,
+          ours: factor.score,
+          theirs,
+          difference: theirs === null ? null : factor.score - theirs
+        };
+      });
+
+      return {
+        competitor: competitor.name,
+        ourScore: this.calculateOwnValueScore(),
+        theirScore: competitorScore.score,
+        overallDifference: competitorScore.score === null ? null : this.calculateOwnValueScore() - competitorScore.score,
+        advantages: factors.filter(factor => factor.difference !== null && factor.difference > 0).map(factor => factor.name),
+        disadvantages: factors.filter(factor => factor.difference !== null && factor.difference < 0).map(factor => factor.name),
+        missingFactors: competitorScore.missingFactors,
+        factors
+      };
+    });
+  }
+
+  // Fits price = intercept + slope * valueScore across scored competitors by least squares.
+  // With too few points, identical scores or a non-positive slope, it uses the line through the
+  // origin at the market's average value-to-price ratio.
+  fitValueEquivalenceLine() {
+    const points = this.getActiveCompetitors()
+      .map(competitor => ({
+        name: competitor.name,
+        value: this.calculateCompetitorValueScore(competitor).score,
+        price: this.getCompetitorPrice(competitor)
+      }))
+      .filter(point => point.value !== null);
+
+    if (points.length === 0) {
+      return null;
+    }
+
+    const meanValue = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+    const meanPrice = points.reduce((sum, point) => sum + point.price, 0) / points.length;
+    const variance = points.reduce((sum, point) => sum + Math.pow(point.value - meanValue, 2), 0);
+    const covariance = points.reduce((sum, point) => sum + (point.value - meanValue) * (point.price - meanPrice), 0);
+    const slope = variance > 0 ? covariance / variance : 0;
+
+    if (points.length >= this.valueScoringSettings.minRegressionPoints && slope > 0) {
+      return { method: 'regression', slope, intercept: meanPrice - slope * meanValue, meanValue, meanPrice, points };
+    }
+    return { method: 'ratio', slope: meanPrice / meanValue, intercept: 0, meanValue, meanPrice, points };
+  }
+
+  calculateValueBasedBreakdown() {
+    const fallback = this.getStrategyFallback('value');
+    if (fallback) {
+      return this.createFallbackBreakdown('value', fallback);
+    }
+    
+    const valueScore = this.calculateOwnValueScore();
+    const line = this.fitValueEquivalenceLine();
+    
+    // Your price should reflect your relative value; the floor ensures it covers costs with minimum margin
+    return this.createBreakdown('value', {
+      label: line.method === 'regression'
+        ? 'your value score on the value-equivalence line'
+        : 'your value score at the market value-to-price ratio',
+      value: line.intercept + line.slope * valueScore
+    }, [this.getPositionMultiplier('value')], {
+      facts: {
+        valueScore,
+        averageCompetitorValue: line.meanValue,
+        averageCompetitorPrice: line.meanPrice,
+        relativeValue: valueScore / line.meanValue,
+        valueLine: {
+          method: line.method,
+          intercept: line.intercept,
+          slope: line.slope,
+          points: line.points
+        }
+      }
+    });
+  }
+
+  formatAmount(amount) {
+    return `${amount.toFixed(2)} ${this.costModel.currency}`;
+  }
+
+  // Prose generated from a breakdown, so the explanation always matches the numbers
+  describeBreakdown(breakdown) {
+    const sentences = [];
+    const { facts } = breakdown;
+
+    if (breakdown.fallbacks.length > 0) {
+      sentences.push(`This ${breakdown.strategy} price fell back to cost-plus pricing (${breakdown.fallbacks.join('; ')}).`);
+    }
+
+    if (facts.relativeValue !== undefined) {
+      const difference = Math.abs(facts.relativeValue - 1) * 100;
+      const comparison = facts.relativeValue > 1.005
+        ? `${difference.toFixed(0)}% above`
+        : facts.relativeValue < 0.995 ? `${difference.toFixed(0)}% below` : 'in line with';
+      const basis = facts.valueLine.method === 'regression'
+        ? `on the value-equivalence line fitted across ${facts.valueLine.points.length} competitors`
+        : `at the market's value-to-price ratio`;
+      sentences.push(`Your weighted value score of ${facts.valueScore.toFixed(2)} is ${comparison} the competitor average of ${facts.averageCompetitorValue.toFixed(2)}, which ${basis} is worth ${this.formatAmount(breakdown.base.value)}.`);
+    } else if (facts.targetLtvToCac !== undefined) {
+      sentences.push(`At ${(facts.churnRate * 100).toFixed(1)}% monthly churn a customer stays about ${(1 / facts.churnRate).toFixed(1)} months, so earning back ${facts.targetLtvToCac} times the ${this.formatAmount(facts.acquisitionCost)} acquisition and onboarding cost needs ${this.formatAmount(breakdown.base.value)} a month.`);
+    } else if (facts.costPerUnit !== undefined) {
+      sentences.push(`Your cost of ${this.formatAmount(facts.costPerUnit)} per unit at ${facts.expectedVolume} units needs a price of ${this.formatAmount(breakdown.base.value)} to reach your ${(facts.targetMargin * 100).toFixed(0)}% target margin.`);
+    } else {
+      sentences.push(`The starting point is the ${breakdown.base.label}: ${this.formatAmount(breakdown.base.value)}.`);
+    }
+
+    const applied = breakdown.multipliers.filter(multiplier => multiplier.value !== 1);
+    if (applied.length > 0) {
+      sentences.push(`Applying ${applied.map(m => `the ${m.name} (x${m.value})`).join(' and ')} gives ${this.formatAmount(breakdown.adjustedPrice)}.`);
+    }
+
+    if (facts.staleCompetitors && facts.staleCompetitors.length > 0) {
+      const handling = facts.excludedCount > 0 ? 'were excluded' : 'are still included';
+      sentences.push(`Prices for ${facts.staleCompetitors.join(', ')} are older than ${this.benchmarkSettings.maxAgeDays} days and ${handling}.`);
+    }
+
+    if (breakdown.floor.binding) {
+      sentences.push(`That is below your minimum viable price, so the price was raised to ${this.formatAmount(breakdown.floor.minimumViablePrice)}.`);
+    } else if (!breakdown.floor.applied && breakdown.price < breakdown.floor.minimumViablePrice) {
+      sentences.push(`This is below your minimum viable price of ${this.formatAmount(breakdown.floor.minimumViablePrice)}, so your target margin is not met.`);
+    }
+
+    return sentences.join(' ');
+  }
+
+  // Unknown strategy names fall back to the optimal blend
+  // A registered strategy's own price, explanation and confidence, before guardrails and presentation
+  computeStrategy(strategy) {
+    const definition = this.strategies.get(strategy);
+    const computed = definition.compute(this);
+    const result = typeof computed === 'number'
+      ? { price: computed, details: {}, context: {} }
+      : { details: {}, context: {}, ...computed };
+
+    return {
+      price: result.price,
+      explanation: definition.explain(this, result),
+      confidenceLevel: definition.confidence(this, result),
+      details: result.details
+    };
+  }
+
+  getPriceRecommendation(strategy = 'optimal') {
+    const definition = strategy === 'optimal' ? null : this.strategies.get(strategy);
+    if (strategy !== 'optimal' && !definition) {
+      throw new ValidationError('strategy', strategy, `is not one of optimal, ${this.strategies.getNames().join(', ')}`);
+    }
+    let price, explanation, confidenceLevel;
+    let details = {};
+
+    if (definition) {
+      const result = this.computeStrategy(strategy);
+      price = result.price;
+      explanation = result.explanation;
+      confidenceLevel = result.confidenceLevel;
+      details = result.details;
+    } else {
+      const blend = this.calculateBlendedPrice();
+      price = blend.price;
+      explanation = this.describeBlend(blend);
+      confidenceLevel = blend.confidenceLevel;
+      details = {
+        blendMode: blend.mode,
+        appliedWeights: blend.appliedWeights,
+        excludedStrategies: blend.excludedStrategies,
+        breakdown: {
+          strategy: 'optimal',
+          components: Object.entries(blend.appliedWeights).map(([strategy, weight]) => ({
+            strategy,
+            weight,
+            price: blend.componentPrices[strategy]
+          })),
+          dispersion: blend.dispersion,
+          fallbacks: Object.entries(blend.excludedStrategies).map(([strategy, reason]) => `${strategy}: ${reason}`),
+          inputs: this.getInputCounts()
+        }
+      };
+    }
+    
+    // Infeasible guardrails leave the strategy price in place and report the conflicts
+    if (this.guardrails) {
+      const guardrails = this.guardrails.solve(this, price, strategy);
+      if (guardrails.feasible && guardrails.price !== price) {
+        explanation += ` Guardrails moved the price from ${this.formatAmount(price)} to ${this.formatAmount(guardrails.price)} (${guardrails.binding.join(', ')}).`;
+        price = guardrails.price;
+      } else if (!guardrails.feasible) {
+        explanation += ` No price satisfies every guardrail: ${guardrails.conflicts.map(conflict => conflict.reason).join('; ')}.`;
+      }
+      details = { ...details, guardrails };
+    }
+
+    if (this.pricePresentation) {
+      const presentation = this.presentPrice(price, details.guardrails && details.guardrails.feasible ? details.guardrails.range : {});
+      details = { ...details, presentedPrice: presentation.presentedPrice, presentation };
+    }
+    
+    return {
+      price: Math.round(price * 100) / 100, // Round to 2 decimal places
+      explanation,
+      confidenceLevel,
+      margin: this.costModel.calculateMarginAtPrice(price),
+      breakEvenVolume: this.costModel.calculateBreakEvenVolume(price),
+      ...details
+    };
+  }
+
+  describeBlend(blend) {
+    const parts = Object.entries(blend.appliedWeights).map(
+      ([strategy, weight]) => `${strategy} at ${this.formatAmount(blend.componentPrices[strategy])} (${(weight * 100).toFixed(0)}%)`
+    );
+    const sentences = parts.length > 0
+      ? [`This price blends ${parts.join(', ')}.`]
+      : ['No strategy could be blended, so this is the cost-plus price.'];
+
+    const excluded = Object.entries(blend.excludedStrategies);
+    if (excluded.length > 0) {
+      sentences.push(`Left out: ${excluded.map(([strategy, reason]) => `${strategy} (${reason})`).join('; ')}.`);
+    }
+    if (blend.dispersion > 0.1) {
+      sentences.push(`The strategies disagree by about ${(blend.dispersion * 100).toFixed(0)}%, which lowers confidence.`);
+    }
+    return sentences.join(' ');
+  }
+
+  // Every registered strategy, followed by the optimal blend
+  getAllPriceRecommendations() {
+    const recommendations = {};
+    this.strategies.getNames().forEach(strategy => {
+      recommendations[strategy] = this.getPriceRecommendation(strategy);
+    });
+    recommendations['optimal'] = this.getPriceRecommendation('optimal');
+    return recommendations;
+  }
+
+  // Independent copy, including the cost model, for what-if analysis
+  clone() {
+    const copy = new PricingModel(this.costModel.clone());
+    copy.competitors = this.competitors.map(competitor => ({
+      ...competitor,
+      attributes: { ...competitor.attributes },
+      priceHistory: competitor.priceHistory.map(observation => ({ ...observation }))
+    }));
+    copy.benchmarkSettings = { ...this.benchmarkSettings };
+    copy.valueScoringSettings = { ...this.valueScoringSettings };
+    copy.pricePresentation = this.pricePresentation;
+    copy.guardrails = this.guardrails;
+    copy.valueFactors = this.valueFactors.map(factor => ({ ...factor }));
+    copy.customerSegmentModel = this.customerSegmentModel.clone();
+    copy.marketPositions = MarketPositionTable.fromJSON(this.marketPositions.toJSON());
+    copy.marketPosition = this.marketPosition;
+    copy.positionIndex = this.positionIndex;
+    copy.baseDemand = this.baseDemand;
+    copy.demandSettings = { ...this.demandSettings };
+    copy.blendSettings = {
+      mode: this.blendSettings.mode,
+      weights: this.blendSettings.weights ? { ...this.blendSettings.weights } : null
+    };
+    copy.strategies = this.strategies.clone();
+    return copy;
+  }
+}
+
+// Demand curve anchored at (referencePrice, baseDemand) with the segments' weighted elasticity:
+// - constant-elasticity: Q = Q0 * (P / P0) ^ e
+// - linear: Q = Q0 * (1 + e * (P - P0) / P0), the line with elasticity e at the anchor
+class DemandModel {
+  // baseDemand and elasticity default to the pricing model's, e.g. override both to model one segment
+  constructor(pricingModel, { type = 'constant-elasticity', referencePrice = null, baseDemand = null, elasticity = null } = {}) {
+    this.pricingModel = pricingModel;
+    this.type = type;
+    this.baseDemand = baseDemand !== null ? baseDemand : pricingModel.baseDemand;
+    this.elasticity = elasticity !== null ? elasticity : pricingModel.customerSegmentModel.calculateWeightedElasticity();
+    this.referencePrice = referencePrice !== null ? referencePrice : this.defaultReferencePrice();
+  }
+
+  // The competitor benchmark, so demand and competitor pricing agree on the market price;
+  // cost-plus when no competitor takes part in it
+  defaultReferencePrice() {
+    const benchmark = this.pricingModel.calculateCompetitorBenchmark().price;
+    return benchmark !== null ? benchmark : this.pricingModel.calculateCostPlusPrice();
+  }
+
+  calculateVolume(price) {
+    const relativePrice = price / this.referencePrice;
+    if (this.type === 'linear') {
+      return Math.max(this.baseDemand * (1 + this.elasticity * (relativePrice - 1)), 0);
+    }
+    return this.baseDemand * Math.pow(relativePrice, this.elasticity);
+  }
+
+  evaluate(price) {
+    const volume = this.calculateVolume(price);
+    const outcome = new CostVolumeProfitAnalysis(this.pricingModel.costModel).calculateProfitAtVolume(price, volume);
+    return {
+      price,
+      volume,
+      revenue: outcome.revenue,
+      totalCosts: outcome.totalCosts,
+      profit: outcome.profit
+    };
+  }
+
+  defaultPriceRange() {
+    const minPrice = this.pricingModel.costModel.calculateMinimumViablePrice();
+    return { minPrice, maxPrice: Math.max(this.referencePrice * 3, minPrice * 2) };
+  }
+
+  // Volume, revenue and profit at evenly spaced prices, for charting
+  generateCurve({ minPrice, maxPrice, points = 50 } = {}) {
+    const defaults = this.defaultPriceRange();
+    const low = minPrice !== undefined ? minPrice : defaults.minPrice;
+    const high = maxPrice !== undefined ? maxPrice : defaults.maxPrice;
+    const curve = [];
+    for (let i = 0; i <= points; i++) {
+      curve.push(this.evaluate(low + ((high - low) * i) / points));
+    }
+    return curve;
+  }
+
+  // Revenue- and profit-maximizing prices, never below the minimum viable price
+  optimize({ maxPrice, points = 200 } = {}) {
+    const range = this.defaultPriceRange();
+    const upper = maxPrice !== undefined ? Math.max(maxPrice, range.minPrice) : range.maxPrice;
+
+    return {
+      revenueMaximizing: this.findMaximum(outcome => outcome.revenue, range.minPrice, upper, points),
+      profitMaximizing: this.findMaximum(outcome => outcome.profit, range.minPrice, upper, points)
+    };
+  }
+
+  // Grid search followed by golden-section refinement around the best grid point
+  findMaximum(objective, minPrice, maxPrice, points) {
+    const step = (maxPrice - minPrice) / points;
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+    for (let i = 0; i <= points; i++) {
+      const value = objective(this.evaluate(minPrice + step * i));
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = i;
+      }
+    }
+
+    let low = minPrice + step * Math.max(bestIndex - 1, 0);
+    let high = minPrice + step * Math.min(bestIndex + 1, points);
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    for (let i = 0; i < 40 && high - low > 1e-6; i++) {
+      const left = high - ratio * (high - low);
+      const right = low + ratio * (high - low);
+      if (objective(this.evaluate(left)) < objective(this.evaluate(right))) {
+        low = left;
+      } else {
+        high = right;
+      }
+    }
+
+    const refined = this.evaluate((low + high) / 2);
+    const best = objective(refined) >= bestValue ? refined : this.evaluate(minPrice + step * bestIndex);
+    return {
+      ...best,
+      floorBinding: best.price - minPrice < step,
+      atUpperBound: maxPrice - best.price < step
+    };
+  }
+}
+
+// Profit-maximizing price per customer segment, compared with charging everyone one price. Each
+// segment gets its share of base demand and its own elasticity around the common reference price;
+// fixed costs are counted once across all segments.
+class SegmentPricingAnalysis {
+  constructor(pricingModel) {
+    this.pricingModel = pricingModel;
+    this.arbitrageThreshold = 0.3; // Price gaps above this share of the lower price invite resale
+  }
+
+  setArbitrageThreshold(threshold) {
+    this.arbitrageThreshold = requireNumber('arbitrageThreshold', threshold, { min: 0 });
+  }
+
+  createSegmentDemand(segment, totalSize, referencePrice) {
+    return new DemandModel(this.pricingModel, {
+      type: this.pricingModel.demandSettings.type,
+      referencePrice,
+      baseDemand: this.pricingModel.baseDemand * (segment.size / totalSize),
+      elasticity: segment.priceElasticity
+    });
+  }
+
+  analyze({ strategy = 'optimal', maxPrice, points = 200 } = {}) {
+    const { segments } = this.pricingModel.customerSegmentModel;
+    if (segments.length === 0) {
+      throw new ValidationError('segments', segments, 'must contain at least one segment');
+    }
+
+    const costModel = this.pricingModel.costModel;
+    const singlePrice = this.pricingModel.getPriceRecommendation(strategy).price;
+    const minimumViablePrice = costModel.calculateMinimumViablePrice();
+    const fixedCosts = costModel.calculateTotalMonthlyIndirectCost();
+    const totalSize = segments.reduce((sum, segment) => sum + segment.size, 0);
+    const referencePrice = this.pricingModel.getDemandModel().referencePrice;
+    // Prices below variable cost lose money on every sale, so the search starts there
+    const lowerBound = Math.max(new CostVolumeProfitAnalysis(costModel).calculateVariableCostPerUnit(), 0.01);
+    const warnings = [];
+
+    const results = segments.map(segment => {
+      const demand = this.createSegmentDemand(segment, totalSize, referencePrice);
+      const upperBound = maxPrice !== undefined ? Math.max(maxPrice, lowerBound) : demand.defaultPriceRange().maxPrice;
+      const best = demand.findMaximum(outcome => outcome.profit, lowerBound, upperBound, points);
+      const price = Math.round(best.price * 100) / 100;
+      const atSegmentPrice = demand.evaluate(price);
+      const atSinglePrice = demand.evaluate(singlePrice);
+      const belowMinimumViablePrice = price < minimumViablePrice;
+
+      if (belowMinimumViablePrice) {
+        warnings.push(`${segment.name} price ${this.pricingModel.formatAmount(price)} is below the minimum viable price of ${this.pricingModel.formatAmount(minimumViablePrice)}`);
+      }
+      if (best.atUpperBound) {
+        warnings.push(`${segment.name} demand is too inelastic to find a profit-maximizing price below ${this.pricingModel.formatAmount(upperBound)}`);
+      }
+
+      return {
+        id: segment.id,
+        name: segment.name,
+        share: segment.size / totalSize,
+        elasticity: segment.priceElasticity,
+        price,
+        volume: atSegmentPrice.volume,
+        revenue: atSegmentPrice.revenue,
+        profit: atSegmentPrice.profit + fixedCosts, // Contribution before shared fixed costs
+        singlePrice: {
+          volume: atSinglePrice.volume,
+          revenue: atSinglePrice.revenue,
+          profit: atSinglePrice.profit + fixedCosts
+        },
+        belowMinimumViablePrice,
+        atUpperBound: best.atUpperBound
+      };
+    });
+
+    const arbitrageGaps = [];
+    const byPrice = [...results].sort((a, b) => a.price - b.price);
+    byPrice.forEach((low, index) => {
+      byPrice.slice(index + 1).forEach(high => {
+        const gap = (high.price - low.price) / low.price;
+        if (gap > this.arbitrageThreshold) {
+          arbitrageGaps.push({ lowSegment: low.name, highSegment: high.name, gap });
+          warnings.push(`${high.name} pays ${(gap * 100).toFixed(1)}% more than ${low.name}, above the ${(this.arbitrageThreshold * 100).toFixed(1)}% arbitrage threshold`);
+        }
+      });
+    });
+
+    const segmentedProfit = results.reduce((sum, result) => sum + result.profit, 0) - fixedCosts;
+    const singlePriceProfit = results.reduce((sum, result) => sum + result.singlePrice.profit, 0) - fixedCosts;
+    const targetPrices = {};
+    results.forEach(result => {
+      targetPrices[result.name] = result.price;
+    });
+    return {
+      strategy,
+      singlePrice,
+      minimumViablePrice,
+      segments: results,
+      guardrails: this.pricingModel.guardrails ? this.pricingModel.guardrails.solveSegmentPrices(this.pricingModel, targetPrices, strategy) : null,
+      segmentedProfit,
+      singlePriceProfit,
+      profitDifference: segmentedProfit - singlePriceProfit,
+      arbitrageGaps,
+      warnings
+    };
+  }
+}
+
+// Projects a temporary discount against the undiscounted baseline. Base demand is read as monthly
+// volume at the recommended price and split across segments by size; eligible segments respond
+// with their own elasticity. Part of the extra volume is pulled forward from the months after.
+class PromotionSimulation {
+  constructor(pricingModel) {
+    this.pricingModel = pricingModel;
+  }
+
+  // options: { discount, durationMonths, eligibleSegments (names; all when omitted),
+  //            volumeCap (discounted units over the whole promotion), pullForward, strategy }
+  simulate(options = {}) {
+    const { eligibleSegments = null, volumeCap = null, strategy = 'optimal' } = options;
+    const discount = requireNumber('promotion.discount', options.discount, { min: 0, max: 1, maxExclusive: true });
+    const durationMonths = requireNumber('promotion.durationMonths', options.durationMonths !== undefined ? options.durationMonths : 1, { min: 0, minExclusive: true });
+    const pullForward = requireNumber('promotion.pullForward', options.pullForward !== undefined ? options.pullForward : 0, { min: 0, max: 1 });
+    if (volumeCap !== null) {
+      requireNumber('promotion.volumeCap', volumeCap, { min: 0 });
+    }
+
+    const costModel = this.pricingModel.costModel;
+    const basePrice = this.pricingModel.getPriceRecommendation(strategy).price;
+    const promoPrice = Math.round(basePrice * (1 - discount) * 100) / 100;
+    const variableCost = new CostVolumeProfitAnalysis(costModel).calculateVariableCostPerUnit();
+    const segments = this.getSegments();
+    if (eligibleSegments !== null) {
+      eligibleSegments.forEach((name, index) => {
+        if (!segments.some(segment => segment.name === name)) {
+          throw new ValidationError(`promotion.eligibleSegments[${index}]`, name, 'must name a customer segment');
+        }
+      });
+    }
+
+    const totalSize = segments.reduce((sum, segment) => sum + segment.size, 0);
+    const demands = segments.map(segment => {
+      const demand = new DemandModel(this.pricingModel, {
+        type: this.pricingModel.demandSettings.type,
+        referencePrice: basePrice,
+        baseDemand: this.pricingModel.baseDemand * (segment.size / totalSize),
+        elasticity: segment.priceElasticity
+      });
+      const eligible = eligibleSegments === null || eligibleSegments.includes(segment.name);
+      const baselineVolume = demand.calculateVolume(basePrice) * durationMonths;
+      return {
+        name: segment.name,
+        eligible,
+        baselineVolume,
+        demandAtPromoPrice: eligible ? demand.calculateVolume(promoPrice) * durationMonths : baselineVolume
+      };
+    });
+
+    // A cap limits discounted units; eligible buyers beyond it buy at the full price at baseline rates
+    const eligibleDemand = demands.filter(entry => entry.eligible).reduce((sum, entry) => sum + entry.demandAtPromoPrice, 0);
+    const capShare = volumeCap !== null && eligibleDemand > volumeCap ? volumeCap / eligibleDemand : 1;
+    const results = demands.map(({ name, eligible, baselineVolume, demandAtPromoPrice }) => {
+      const discountedVolume = eligible ? demandAtPromoPrice * capShare : 0;
+      const fullPriceVolume = eligible ? baselineVolume * (1 - capShare) : baselineVolume;
+      const promoVolume = discountedVolume + fullPriceVolume;
+      return { name, eligible, baselineVolume, discountedVolume, fullPriceVolume, promoVolume, lift: promoVolume / baselineVolume - 1 };
+    });
+
+    const sum = key => results.reduce((total, result) => total + result[key], 0);
+    const baselineVolume = sum('baselineVolume');
+    const discountedVolume = sum('discountedVolume');
+    const fullPriceVolume = sum('fullPriceVolume');
+    const incrementalVolume = discountedVolume + fullPriceVolume - baselineVolume;
+    const pullForwardVolume = Math.max(incrementalVolume, 0) * pullForward;
+
+    const baseline = {
+      volume: baselineVolume,
+      revenue: baselineVolume * basePrice,
+      contribution: baselineVolume * (basePrice - variableCost)
+    };
+    const promotion = {
+      volume: discountedVolume + fullPriceVolume,
+      revenue: discountedVolume * promoPrice + fullPriceVolume * basePrice,
+      contribution: discountedVolume * (promoPrice - variableCost) + fullPriceVolume * (basePrice - variableCost)
+    };
+    // Pulled-forward units are sales lost at the full price after the promotion ends
+    const postPromotion = {
+      volume: -pullForwardVolume,
+      revenue: -pullForwardVolume * basePrice,
+      contribution: -pullForwardVolume * (basePrice - variableCost)
+    };
+
+    const eligibleBaseline = results.filter(result => result.eligible).reduce((total, result) => total + result.baselineVolume, 0);
+    const projectedLift = eligibleBaseline > 0
+      ? results.filter(result => result.eligible).reduce((total, result) => total + result.promoVolume, 0) / eligibleBaseline - 1
+      : 0;
+    // Extra eligible volume needed for the discount to earn the same contribution as the baseline
+    const breakEvenLift = promoPrice > variableCost ? (basePrice - variableCost) / (promoPrice - variableCost) - 1 : Infinity;
+    const breakEvenPrice = costModel.calculateBreakEvenPrice();
+    const belowBreakEvenPrice = promoPrice < breakEvenPrice;
+
+    const warnings = [];
+    if (belowBreakEvenPrice) {
+      warnings.push(`Promotional price ${this.pricingModel.formatAmount(promoPrice)} is below the break-even price of ${this.pricingModel.formatAmount(breakEvenPrice)}`);
+    }
+    if (projectedLift < breakEvenLift) {
+      warnings.push(`Projected lift of ${(projectedLift * 100).toFixed(1)}% is short of the ${(breakEvenLift * 100).toFixed(1)}% needed to break even on the discount`);
+    }
+    if (capShare < 1) {
+      warnings.push(`Volume cap of ${volumeCap} units limits the promotion to ${(capShare * 100).toFixed(1)}% of eligible demand`);
+    }
+
+    return {
+      basePrice,
+      promoPrice,
+      discount,
+      durationMonths,
+      segments: results,
+      baseline,
+      promotion,
+      postPromotion,
+      incrementalVolume,
+      pullForwardVolume,
+      netIncrementalVolume: incrementalVolume - pullForwardVolume,
+      incrementalRevenue: promotion.revenue + postPromotion.revenue - baseline.revenue,
+      incrementalContribution: promotion.contribution + postPromotion.contribution - baseline.contribution,
+      marginAtPromoPrice: costModel.calculateMarginAtPrice(promoPrice),
+      projectedLift,
+      breakEvenLift,
+      breakEvenPrice,
+      belowBreakEvenPrice,
+      capped: capShare < 1,
+      warnings
+    };
+  }
+
+  // Customer segments, or the whole market as one segment when none are defined
+  getSegments() {
+    const { customerSegmentModel } = this.pricingModel;
+    if (customerSegmentModel.segments.length > 0) {
+      return customerSegmentModel.segments;
+    }
+    return [{ name: 'All customers', size: 1, priceElasticity: customerSegmentModel.calculateWeightedElasticity() }];
+  }
+}
+
+// Recurring revenue metrics for a PricingModel whose cost model has subscription settings
+class SubscriptionAnalysis {
+  constructor(pricingModel) {
+    this.pricingModel = pricingModel;
+  }
+
+  // Metrics at `monthlyPrice`, or at the strategy's recommended monthly price
+  analyze({ strategy = 'optimal', monthlyPrice } = {}) {
+    const costModel = this.pricingModel.costModel;
+    const { subscription } = costModel;
+    if (!subscription) {
+      throw new ValidationError('costModel.subscription', null, 'must be set with setSubscription()');
+    }
+
+    const price = monthlyPrice !== undefined
+      ? requireNumber('monthlyPrice', monthlyPrice, { min: 0, minExclusive: true })
+      : this.pricingModel.getPriceRecommendation(strategy).price;
+    const averageRevenue = costModel.calculateRevenuePerUnit(price);
+    const servingCost = costModel.calculateTotalDirectCost() + costModel.calculateTotalTimeCost();
+    const monthlyGrossProfit = averageRevenue - servingCost;
+    const acquisitionCost = subscription.acquisitionCost + subscription.onboardingCost;
+    const lifetimeValue = costModel.calculateLifetimeValue(price);
+    const ltvToCac = acquisitionCost > 0 ? lifetimeValue / acquisitionCost : Infinity;
+    const paybackMonths = monthlyGrossProfit > 0 ? acquisitionCost / monthlyGrossProfit : Infinity;
+    const customerLifetimeMonths = 1 / subscription.churnRate;
+    const mrr = averageRevenue * costModel.expectedVolume;
+
+    const warnings = [];
+    if (ltvToCac < subscription.targetLtvToCac) {
+      warnings.push(`LTV:CAC of ${ltvToCac.toFixed(2)} is below the ${subscription.targetLtvToCac}:1 target`);
+    }
+    if (paybackMonths > customerLifetimeMonths) {
+      warnings.push(`Acquisition cost takes ${paybackMonths.toFixed(1)} months to pay back, longer than the ${customerLifetimeMonths.toFixed(1)} month average lifetime`);
+    }
+
+    return {
+      monthlyPrice: price,
+      annualPrice: Math.round(price * 12 * (1 - subscription.annualPrepayDiscount) * 100) / 100,
+      averageRevenuePerCustomer: averageRevenue,
+      subscribers: costModel.expectedVolume,
+      mrr,
+      arr: mrr * 12,
+      monthlyGrossProfit,
+      customerLifetimeMonths,
+      lifetimeValue,
+      acquisitionCost,
+      ltvToCac,
+      paybackMonths,
+      recommendedMonthlyPrice: Math.round(costModel.calculateTargetLtvToCacPrice() * 100) / 100,
+      margin: costModel.calculateMarginAtPrice(price),
+      warnings
+    };
+  }
+}
+
+const DYNAMIC_ADJUSTMENT_TYPES = ['percent', 'amount'];
+
+// Adjusts a strategy's recommended price from a snapshot of signals. Derived signals:
+// - dayOfWeek (0 = Sunday) and hour, in UTC, from `at`
+// - leadTimeDays from `at` to `bookingDate`
+// - capacityRemaining from remainingCapacity / totalCapacity
+// - demandRatio from demand / forecast
+// - competitorChange from competitorPrice against the competitor benchmark
+// Any other numeric snapshot value is available to rules under its own name.
+class DynamicPricingEngine {
+  constructor(pricingModel, { strategy = 'optimal' } = {}) {
+    this.pricingModel = pricingModel;
+    this.strategy = strategy;
+    this.rules = [];
+    this.limits = {
+      maxRules: null, // Most rules that may fire together; null fires every match
+      maxAdjustment: 0.5, // Combined change is held within this share of the base price
+      ceiling: null, // Absolute price ceiling
+      ceilingMultiplier: null // Ceiling as a multiple of the base price
+    };
+  }
+
+  // conditions: { signal: { min, max, in } } that must all hold, or a function of the derived signals.
+  // adjustment is a share of the base price for 'percent' (0.1 = +10%) or a fixed change for 'amount'.
+  // Higher priorities fire first, and only the highest-priority match in a group fires.
+  addRule(name, { conditions, adjustment, type = 'percent', priority = 0, group = null } = {}) {
+    const prefix = `rules[${this.rules.length}]`;
+    if (this.rules.some(rule => rule.name === name)) {
+      throw new ValidationError(`${prefix}.name`, name, 'must be unique');
+    }
+    if (typeof conditions !== 'function' && (typeof conditions !== 'object' || conditions === null)) {
+      throw new ValidationError(`${prefix}.conditions`, conditions, 'must be an object of signal conditions or a function');
+    }
+    if (!DYNAMIC_ADJUSTMENT_TYPES.includes(type)) {
+      throw new ValidationError(`${prefix}.type`, type, `must be one of ${DYNAMIC_ADJUSTMENT_TYPES.join(', ')}`);
+    }
+
+    this.rules.push({
+      name,
+      conditions,
+      adjustment: requireNumber(`${prefix}.adjustment`, adjustment, type === 'percent' ? { min: -1 } : {}),
+      type,
+      priority: requireNumber(`${prefix}.priority`, priority),
+      group
+    });
+  }
+
+  removeRule(name) {
+    const index = this.rules.findIndex(rule => rule.name === name);
+    if (index >= 0) {
+      this.rules.splice(index, 1);
+      return true;
+    }
+    return false;
+  }
+
+  setLimits(options = {}) {
+    const limits = { ...this.limits, ...options };
+    if (limits.maxRules !== null) {
+      requireNumber('limits.maxRules', limits.maxRules, { min: 1 });
+    }
+    limits.maxAdjustment = requireNumber('limits.maxAdjustment', limits.maxAdjustment, { min: 0 });
+    if (limits.ceiling !== null) {
+      requireNumber('limits.ceiling', limits.ceiling, { min: 0, minExclusive: true });
+    }
+    if (limits.ceilingMultiplier !== null) {
+      requireNumber('limits.ceilingMultiplier', limits.ceilingMultiplier, { min: 1 });
+    }
+    this.limits = limits;
+  }
+
+  deriveSignals(snapshot) {
+    const signals = {};
+    Object.entries(snapshot).forEach(([key, value]) => {
+      if (typeof value === 'number') {
+        signals[key] = value;
+      }
+    });
+
+    const parseTime = (field, value) => {
+      const time = new Date(value).getTime();
+      if (Number.isNaN(time)) {
+        throw new ValidationError(`signals.${field}`, value, 'must be a valid date');
+      }
+      return time;
+    };
+    if (snapshot.at !== undefined) {
+      const at = new Date(parseTime('at', snapshot.at));
+      signals.dayOfWeek = at.getUTCDay();
+      signals.hour = at.getUTCHours();
+      if (snapshot.bookingDate !== undefined) {
+        signals.leadTimeDays = (parseTime('bookingDate', snapshot.bookingDate) - at.getTime()) / DAY_MS;
+      }
+    }
+    if (snapshot.remainingCapacity !== undefined && snapshot.totalCapacity > 0) {
+      signals.capacityRemaining = snapshot.remainingCapacity / snapshot.totalCapacity;
+    }
+    if (snapshot.demand !== undefined && snapshot.forecast > 0) {
+      signals.demandRatio = snapshot.demand / snapshot.forecast;
+    }
+    if (snapshot.competitorPrice !== undefined) {
+      const benchmark = this.pricingModel.calculateCompetitorBenchmark().price;
+      if (benchmark !== null) {
+        signals.competitorChange = snapshot.competitorPrice / benchmark - 1;
+      }
+    }
+    return signals;
+  }
+
+  matches(rule, signals) {
+    if (typeof rule.conditions === 'function') {
+      return Boolean(rule.conditions(signals));
+    }
+    return Object.entries(rule.conditions).every(([signal, condition]) => {
+      const value = signals[signal];
+      if (value === undefined) return false;
+      if (condition.in !== undefined && !condition.in.includes(value)) return false;
+      if (condition.min !== undefined && value < condition.min) return false;
+      if (condition.max !== undefined && value > condition.max) return false;
+      return true;
+    });
+  }
+
+  getBasePrice() {
+    return this.pricingModel.getPriceRecommendation(this.strategy).price;
+  }
+
+  evaluate(snapshot, basePrice = this.getBasePrice()) {
+    const signals = this.deriveSignals(snapshot);
+    const { maxRules, maxAdjustment, ceiling, ceilingMultiplier } = this.limits;
+    const firedRules = [];
+    const skippedRules = [];
+    const firedGroups = new Set();
+
+    // Sort is stable, so rules of equal priority fire in the order they were added
+    [...this.rules].sort((a, b) => b.priority - a.priority).forEach(rule => {
+      if (!this.matches(rule, signals)) return;
+      if (rule.group !== null && firedGroups.has(rule.group)) {
+        skippedRules.push({ name: rule.name, reason: `a higher-priority ${rule.group} rule fired` });
+        return;
+      }
+      if (maxRules !== null && firedRules.length >= maxRules) {
+        skippedRules.push({ name: rule.name, reason: `stacking limit of ${maxRules} reached` });
+        return;
+      }
+      if (rule.group !== null) {
+        firedGroups.add(rule.group);
+      }
+      firedRules.push({
+        name: rule.name,
+        priority: rule.priority,
+        type: rule.type,
+        adjustment: rule.adjustment,
+        change: rule.type === 'percent' ? basePrice * rule.adjustment : rule.adjustment
+      });
+    });
+
+    const requestedChange = firedRules.reduce((sum, rule) => sum + rule.change, 0);
+    const limit = basePrice * maxAdjustment;
+    const change = Math.max(Math.min(requestedChange, limit), -limit);
+    let price = basePrice + change;
+
+    const ceilings = [ceiling, ceilingMultiplier !== null ? basePrice * ceilingMultiplier : null].filter(value => value !== null);
+    const ceilingPrice = ceilings.length > 0 ? Math.min(...ceilings) : null;
+    const ceilingApplied = ceilingPrice !== null && price > ceilingPrice;
+    if (ceilingApplied) {
+      price = ceilingPrice;
+    }
+    // The floor wins over the ceiling: no rule may price below the minimum viable price
+    const minimumViablePrice = this.pricingModel.costModel.calculateMinimumViablePrice();
+    const floorApplied = price < minimumViablePrice;
+    if (floorApplied) {
+      price = minimumViablePrice;
+    }
+    // The model's guardrails apply last, as they do to its recommendations; they keep the minimum
+    // viable price as a constraint, so guardrails that cannot reach it leave the floored price
+    const guardrails = this.pricingModel.guardrails ? this.pricingModel.guardrails.solve(this.pricingModel, price, this.strategy) : null;
+    if (guardrails && guardrails.feasible) {
+      price = guardrails.price;
+    }
+
+    return {
+      basePrice,
+      price: Math.round(price * 100) / 100,
+      requestedChange,
+      capped: change !== requestedChange,
+      ceilingApplied,
+      floorApplied,
+      guardrails,
+      firedRules,
+      skippedRules,
+      signals
+    };
+  }
+
+  // Replays a series of snapshots. Snapshots with a `volume` (units sold at the base price) also
+  // estimate volume and revenue at the dynamic price from the pricing model's demand elasticity.
+  backtest(series) {
+    const basePrice = this.getBasePrice();
+    const elasticity = this.pricingModel.getDemandModel().elasticity;
+    const ruleCounts = {};
+    this.rules.forEach(rule => {
+      ruleCounts[rule.name] = 0;
+    });
+
+    const results = series.map(snapshot => {
+      const result = this.evaluate(snapshot, basePrice);
+      result.firedRules.forEach(rule => {
+        ruleCounts[rule.name]++;
+      });
+      const entry = {
+        at: snapshot.at !== undefined ? snapshot.at : null,
+        price: result.price,
+        firedRules: result.firedRules.map(rule => rule.name),
+        floorApplied: result.floorApplied,
+        ceilingApplied: result.ceilingApplied
+      };
+      if (snapshot.volume !== undefined) {
+        entry.staticRevenue = snapshot.volume * basePrice;
+        entry.expectedVolume = snapshot.volume * Math.pow(result.price / basePrice, elasticity);
+        entry.dynamicRevenue = entry.expectedVolume * result.price;
+      }
+      return entry;
+    });
+
+    const prices = results.map(result => result.price);
+    const withVolume = results.filter(result => result.staticRevenue !== undefined);
+    const staticRevenue = withVolume.length > 0 ? withVolume.reduce((sum, result) => sum + result.staticRevenue, 0) : null;
+    const dynamicRevenue = withVolume.length > 0 ? withVolume.reduce((sum, result) => sum + result.dynamicRevenue, 0) : null;
+    return {
+      basePrice,
+      results,
+      summary: {
+        points: results.length,
+        averagePrice: prices.length > 0 ? prices.reduce((sum, price) => sum + price, 0) / prices.length : null,
+        minPrice: prices.length > 0 ? Math.min(...prices) : null,
+        maxPrice: prices.length > 0 ? Math.max(...prices) : null,
+        ruleCounts,
+        floorHits: results.filter(result => result.floorApplied).length,
+        ceilingHits: results.filter(result => result.ceilingApplied).length,
+        staticRevenue,
+        dynamicRevenue,
+        revenueChange: staticRevenue !== null ? dynamicRevenue - staticRevenue : null
+      }
+    };
+  }
+}
+
+const CAPACITY_TYPES = ['hours', 'inventory'];
+const CAPACITY_MAX_PRICE_MULTIPLE = 10; // Default rationing search limit, as a multiple of the base price
+
+// Caps monthly demand at what can be delivered: billable hours behind the time costs, or units of
+// stock. When demand at the recommended price exceeds capacity, the price rises to ration it.
+class CapacityModel {
+  constructor(pricingModel) {
+    this.pricingModel = pricingModel;
+    this.type = 'hours';
+    this.availableHours = {}; // Time cost name -> paid hours available per month
+    this.inventory = null; // { units, sellByDate, markdowns } once setInventory() is called
+  }
+
+  // Time costs without an entry use their overtime staff x threshold hours when set, and are
+  // otherwise unconstrained
+  setAvailableHours(hoursByTimeCost) {
+    Object.entries(hoursByTimeCost).forEach(([name, hours]) => {
+      if (!this.pricingModel.costModel.timeCosts.some(cost => cost.name === name)) {
+        throw new ValidationError(`availableHours.${name}`, name, 'must name a time cost');
+      }
+      requireNumber(`availableHours.${name}`, hours, { min: 0, minExclusive: true });
+    });
+    this.type = 'hours';
+    this.availableHours = { ...hoursByTimeCost };
+  }
+
+  // Units on hand for the period. Perishable stock has a sellByDate, and markdowns
+  // [{ daysBefore, discount }] take effect that many days before it.
+  setInventory(units, { sellByDate = null, markdowns = [] } = {}) {
+    requireNumber('inventory.units', units, { min: 0, minExclusive: true });
+    const parsedMarkdowns = this.parseMarkdowns('inventory.markdowns', markdowns);
+    if (parsedMarkdowns.length > 0 && sellByDate === null) {
+      throw new ValidationError('inventory.sellByDate', sellByDate, 'is required for markdowns');
+    }
+    this.type = 'inventory';
+    this.inventory = {
+      units: Number(units),
+      sellByDate: toISODate('inventory.sellByDate', sellByDate),
+      markdowns: parsedMarkdowns
+    };
+  }
+
+  // Validated markdowns, deepest first ({ daysBefore, discount })
+  parseMarkdowns(field, markdowns) {
+    if (!Array.isArray(markdowns)) {
+      throw new ValidationError(field, markdowns, 'must be an array of markdowns');
+    }
+    return markdowns
+      .map((markdown, index) => ({
+        daysBefore: requireNumber(`${field}[${index}].daysBefore`, markdown.daysBefore, { min: 0 }),
+        discount: requireNumber(`${field}[${index}].discount`, markdown.discount, { min: 0, max: 1, maxExclusive: true })
+      }))
+      .sort((a, b) => b.daysBefore - a.daysBefore);
+  }
+
+  // Units deliverable per month; the time cost with the fewest units is the bottleneck
+  getCapacityDetails() {
+    if (this.type === 'inventory') {
+      return { type: 'inventory', units: this.inventory ? this.inventory.units : Infinity, bottleneck: null, pools: [] };
+    }
+
+    const costModel = this.pricingModel.costModel;
+    const pools = costModel.timeCosts
+      .map(cost => {
+        const availableHours = this.availableHours[cost.name] !== undefined
+          ? this.availableHours[cost.name]
+          : cost.overtime ? cost.overtime.staff * cost.overtime.thresholdHours : null;
+        const paidHoursPerUnit = costModel.calculateTimeCostDetails(cost).paidHoursPerUnit;
+        return {
+          name: cost.name,
+          availableHours,
+          paidHoursPerUnit,
+          units: availableHours !== null && paidHoursPerUnit > 0 ? availableHours / paidHoursPerUnit : Infinity
+        };
+      })
+      .filter(pool => pool.availableHours !== null);
+    const bottleneck = pools.reduce((lowest, pool) => (lowest === null || pool.units < lowest.units ? pool : lowest), null);
+
+    return {
+      type: 'hours',
+      units: bottleneck ? bottleneck.units : Infinity,
+      bottleneck: bottleneck ? bottleneck.name : null,
+      pools
+    };
+  }
+
+  // Demand, capped volume, utilization and lost sales at a price
+  evaluatePrice(price, demandModel = this.pricingModel.getDemandModel()) {
+    const capacity = this.getCapacityDetails().units;
+    const demand = demandModel.calculateVolume(price);
+    const volume = Math.min(demand, capacity);
+    const outcome = new CostVolumeProfitAnalysis(this.pricingModel.costModel).calculateProfitAtVolume(price, volume);
+    return {
+      price,
+      demand,
+      volume,
+      utilization: capacity === Infinity ? null : (capacity > 0 ? volume / capacity : 1),
+      lostSales: demand - volume,
+      revenue: outcome.revenue,
+      profit: outcome.profit
+    };
+  }
+
+  // Lowest price (to the cent) at which demand fits within capacity, searching no higher than maxPrice
+  findRationingPrice(capacity, fromPrice, demandModel, maxPrice = Infinity) {
+    let low = fromPrice;
+    let high = Math.min(fromPrice * 2, maxPrice);
+    for (let i = 0; i < 60 && high < maxPrice && demandModel.calculateVolume(high) > capacity; i++) {
+      low = high;
+      high = Math.min(high * 2, maxPrice);
+    }
+    if (demandModel.calculateVolume(high) > capacity) {
+      return Math.floor(high * 100) / 100;
+    }
+    for (let i = 0; i < 60 && high - low > 0.001; i++) {
+      const middle = (low + high) / 2;
+      if (demandModel.calculateVolume(middle) > capacity) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    return Math.ceil(high * 100) / 100;
+  }
+
+  // maxPrice caps the rationing search (default 10x the base price); when demand still exceeds
+  // capacity there, the result is flagged atMaxPrice
+  recommend(strategy = 'optimal', { maxPrice = null } = {}) {
+    const demandModel = this.pricingModel.getDemandModel();
+    const capacity = this.getCapacityDetails();
+    const basePrice = this.pricingModel.getPriceRecommendation(strategy).price;
+    const searchLimit = maxPrice !== null
+      ? requireNumber('maxPrice', maxPrice, { min: basePrice })
+      : basePrice * CAPACITY_MAX_PRICE_MULTIPLE;
+    const rationed = demandModel.calculateVolume(basePrice) > capacity.units;
+    const price = rationed ? this.findRationingPrice(capacity.units, basePrice, demandModel, searchLimit) : basePrice;
+
+    return {
+      strategy,
+      basePrice,
+      price,
+      rationed,
+      maxPrice: searchLimit,
+      atMaxPrice: rationed && demandModel.calculateVolume(price) > capacity.units,
+      capacity: capacity.units,
+      bottleneck: capacity.bottleneck,
+      atBasePrice: this.evaluatePrice(basePrice, demandModel),
+      atPrice: this.evaluatePrice(price, demandModel)
+    };
+  }
+
+  // Utilization and lost sales at evenly spaced prices, for charting
+  generateSchedule({ minPrice, maxPrice, points = 10 } = {}) {
+    const demandModel = this.pricingModel.getDemandModel();
+    const defaults = demandModel.defaultPriceRange();
+    const low = minPrice !== undefined ? minPrice : defaults.minPrice;
+    const high = maxPrice !== undefined ? maxPrice : defaults.maxPrice;
+    const schedule = [];
+    for (let i = 0; i <= points; i++) {
+      schedule.push(this.evaluatePrice(low + ((high - low) * i) / points, demandModel));
+    }
+    return schedule;
+  }
+
+  // Day-by-day sell-through of perishable stock from asOfDate until its sell-by date, with markdowns
+  // applied. Markdowns may go below the minimum viable price, since stock left at the sell-by date is lost.
+  projectMarkdowns({ asOfDate = null, strategy = 'optimal', markdowns = null } = {}) {
+    if (!this.inventory || !this.inventory.sellByDate) {
+      throw new ValidationError('inventory.sellByDate', null, 'must be set with setInventory() to project markdowns');
+    }
+    const start = toISODate('asOfDate', asOfDate);
+    if (start === null) {
+      throw new ValidationError('asOfDate', asOfDate, 'is required to project markdowns');
+    }
+    const schedule = markdowns !== null ? this.parseMarkdowns('markdowns', markdowns) : this.inventory.markdowns;
+    const days = Math.max(Math.round((new Date(this.inventory.sellByDate).getTime() - new Date(start).getTime()) / DAY_MS), 0);
+
+    const demandModel = this.pricingModel.getDemandModel();
+    const costModel = this.pricingModel.costModel;
+    const basePrice = this.pricingModel.getPriceRecommendation(strategy).price;
+    const minimumViablePrice = costModel.calculateMinimumViablePrice();
+    const daysPerMonth = 365 / 12;
+    let remaining = this.inventory.units;
+    const phases = [];
+
+    for (let day = 0; day < days; day++) {
+      const daysLeft = days - day;
+      const discount = schedule
+        .filter(markdown => daysLeft <= markdown.daysBefore)
+        .reduce((deepest, markdown) => Math.max(deepest, markdown.discount), 0);
+      const price = Math.round(basePrice * (1 - discount) * 100) / 100;
+      const unitsSold = Math.min(demandModel.calculateVolume(price) / daysPerMonth, remaining);
+      remaining -= unitsSold;
+
+      let phase = phases[phases.length - 1];
+      if (!phase || phase.discount !== discount) {
+        phase = { discount, price, days: 0, unitsSold: 0, revenue: 0, belowMinimumViablePrice: price < minimumViablePrice };
+        phases.push(phase);
+      }
+      phase.days++;
+      phase.unitsSold += unitsSold;
+      phase.revenue += unitsSold * price;
+    }
+
+    return {
+      asOfDate: start,
+      sellByDate: this.inventory.sellByDate,
+      days,
+      phases,
+      unitsSold: this.inventory.units - remaining,
+      unsoldUnits: remaining,
+      revenue: phases.reduce((sum, phase) => sum + phase.revenue, 0),
+      wasteCost: remaining * costModel.calculateTotalDirectCost()
+    };
+  }
+}
+
+// Numeric inputs of a PricingModel and its CostModel. Each input reads and writes its value on
+// any clone of the model, so analyses can perturb or sample inputs without touching the source.
+function getModelInputs(pricingModel) {
+  const { costModel } = pricingModel;
+  const inputs = [];
+
+  costModel.directCosts.forEach((cost, index) => {
+    inputs.push({
+      key: `directCosts[${index}].amount`,
+      label: `Direct cost: ${cost.name}`,
+      get: model => model.costModel.directCosts[index].amount,
+      set: (model, value) => {
+        const target = model.costModel.directCosts[index];
+        // Tier tables move proportionally with their first-tier amount
+        if (target.tiers && target.amount > 0) {
+          const ratio = value / target.amount;
+          target.tiers = target.tiers.map(tier => ({ ...tier, amount: tier.amount * ratio }));
+        }
+        target.amount = value;
+      }
+    });
+  });
+
+  costModel.timeCosts.forEach((cost, index) => {
+    inputs.push({
+      key: `timeCosts[${index}].rate`,
+      label: `Time cost rate: ${cost.name}`,
+      get: model => model.costModel.timeCosts[index].rate,
+      set: (model, value) => { model.costModel.timeCosts[index].rate = value; }
+    });
+    inputs.push({
+      key: `timeCosts[${index}].hours`,
+      label: `Time cost hours: ${cost.name}`,
+      get: model => model.costModel.timeCosts[index].hours,
+      set: (model, value) => { model.costModel.timeCosts[index].hours = value; }
+    });
+  });
+
+  costModel.indirectCosts.forEach((cost, index) => {
+    inputs.push({
+      key: `indirectCosts[${index}].amount`,
+      label: `Indirect cost: ${cost.name}`,
+      get: model => model.costModel.indirectCosts[index].amount,
+      set: (model, value) => { model.costModel.indirectCosts[index].amount = value; }
+    });
+  });
+
+  inputs.push({
+    key: 'targetMargin',
+    label: 'Target margin',
+    get: model => model.costModel.targetMargin,
+    // Keep the margin below 100% so the minimum viable price stays finite
+    set: (model, value) => { model.costModel.targetMargin = Math.min(Math.max(value, 0), 0.99); }
+  });
+
+  inputs.push({
+    key: 'expectedVolume',
+    label: 'Expected volume',
+    get: model => model.costModel.expectedVolume,
+    set: (model, value) => { model.costModel.expectedVolume = Math.max(value, 1); }
+  });
+
+  pricingModel.competitors.forEach((competitor, index) => {
+    inputs.push({
+      key: `competitors[${index}].price`,
+      label: `Competitor price: ${competitor.name}`,
+      get: model => model.competitors[index].price,
+      set: (model, value) => { model.competitors[index].price = value; }
+    });
+  });
+
+  pricingModel.valueFactors.forEach((factor, index) => {
+    inputs.push({
+      key: `valueFactors[${index}].score`,
+      label: `Value factor score: ${factor.name}`,
+      get: model => model.valueFactors[index].score,
+      set: (model, value) => { model.valueFactors[index].score = value; }
+    });
+  });
+
+  return inputs;
+}
+
+// Sensitivity of a price recommendation to each cost and pricing input, ranked for a tornado chart
+class SensitivityAnalysis {
+  constructor(pricingModel) {
+    this.pricingModel = pricingModel;
+  }
+
+  evaluate(model, strategy) {
+    const recommendation = model.getPriceRecommendation(strategy);
+    return { price: recommendation.price, margin: recommendation.margin };
+  }
+
+  // Perturbs each numeric input by ±range (0.1 = ±10%) and the market position by one step
+  analyze({ range = 0.1, strategy = 'optimal' } = {}) {
+    requireNumber('range', range, { min: 0, max: 1, minExclusive: true, maxExclusive: true });
+    const baseline = this.evaluate(this.pricingModel, strategy);
+
+    const results = getModelInputs(this.pricingModel).map(input => {
+      const lowModel = this.pricingModel.clone();
+      const highModel = this.pricingModel.clone();
+      input.set(lowModel, input.get(lowModel) * (1 - range));
+      input.set(highModel, input.get(highModel) * (1 + range));
+
+      return this.buildResult(input.key, input.label, {
+        baseValue: input.get(this.pricingModel),
+        lowValue: input.get(lowModel),
+        highValue: input.get(highModel)
+      }, this.evaluate(lowModel, strategy), this.evaluate(highModel, strategy));
+    });
+
+    results.push(this.analyzeMarketPosition(strategy));
+
+    return {
+      strategy,
+      range,
+      baseline,
+      inputs: results.sort((a, b) => b.priceSwing - a.priceSwing)
+    };
+  }
+
+  // A position index moves 10 points each way; a named position moves to its neighbours
+  analyzeMarketPosition(strategy) {
+    const lowModel = this.pricingModel.clone();
+    const highModel = this.pricingModel.clone();
+    const positionIndex = this.pricingModel.positionIndex;
+    if (positionIndex !== null) {
+      lowModel.setPositionIndex(Math.max(positionIndex - 10, 0));
+      highModel.setPositionIndex(Math.min(positionIndex + 10, 100));
+      return this.buildResult('positionIndex', 'Position index', {
+        baseValue: positionIndex,
+        lowValue: lowModel.positionIndex,
+        highValue: highModel.positionIndex
+      }, this.evaluate(lowModel, strategy), this.evaluate(highModel, strategy));
+    }
+
+    const names = this.pricingModel.marketPositions.getNames();
+    const index = names.indexOf(this.pricingModel.marketPosition);
+    lowModel.setMarketPosition(names[Math.max(index - 1, 0)]);
+    highModel.setMarketPosition(names[Math.min(index + 1, names.length - 1)]);
+
+    return this.buildResult('marketPosition', 'Market position', {
+      baseValue: this.pricingModel.marketPosition,
+      lowValue: lowModel.marketPosition,
+      highValue: highModel.marketPosition
+    }, this.evaluate(lowModel, strategy), this.evaluate(highModel, strategy));
+  }
+
+  buildResult(key, label, values, low, high) {
+    return {
+      input: key,
+      label,
+      ...values,
+      low,
+      high,
+      priceSwing: Math.abs(high.price - low.price),
+      marginSwing: Math.abs(high.margin - low.margin)
+    };
+  }
+}
+
+// Seeded pseudo-random generator (mulberry32) so simulations are reproducible
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const DISTRIBUTION_TYPES = ['uniform', 'triangular', 'normal', 'pert'];
+
+// Monte Carlo simulation of price recommendations over uncertain inputs.
+// Distributions are attached by input key (see getModelInputs), e.g. 'competitors[0].price':
+// - { type: 'uniform', min, max }
+// - { type: 'triangular', min, mode, max }
+// - { type: 'normal', mean, sd, min?, max? } (optional bounds clamp the samples)
+// - { type: 'pert', min, mode, max }
+class MonteCarloSimulation {
+  constructor(pricingModel) {
+    this.pricingModel = pricingModel;
+    this.distributions = {};
+  }
+
+  setDistribution(inputKey, distribution) {
+    if (!getModelInputs(this.pricingModel).some(input => input.key === inputKey)) {
+      throw new ValidationError('inputKey', inputKey, 'does not match any model input');
+    }
+    this.distributions[inputKey] = this.validateDistribution(inputKey, distribution);
+    return true;
+  }
+
+  removeDistribution(inputKey) {
+    if (this.distributions[inputKey]) {
+      delete this.distributions[inputKey];
+      return true;
+    }
+    return false;
+  }
+
+  validateDistribution(inputKey, distribution) {
+    const field = `distributions.${inputKey}`;
+    if (!distribution || !DISTRIBUTION_TYPES.includes(distribution.type)) {
+      throw new ValidationError(`${field}.type`, distribution && distribution.type, `must be one of ${DISTRIBUTION_TYPES.join(', ')}`);
+    }
+
+    if (distribution.type === 'normal') {
+      return {
+        type: 'normal',
+        mean: requireNumber(`${field}.mean`, distribution.mean),
+        sd: requireNumber(`${field}.sd`, distribution.sd, { min: 0 }),
+        min: distribution.min !== undefined ? requireNumber(`${field}.min`, distribution.min) : -Infinity,
+        max: distribution.max !== undefined ? requireNumber(`${field}.max`, distribution.max) : Infinity
+      };
+    }
+
+    const min = requireNumber(`${field}.min`, distribution.min);
+    const max = requireNumber(`${field}.max`, distribution.max, { min });
+    if (distribution.type === 'uniform') {
+      return { type: 'uniform', min, max };
+    }
+
+    const mode = requireNumber(`${field}.mode`, distribution.mode, { min, max });
+    return { type: distribution.type, min, mode, max };
+  }
+
+  sample(distribution, random) {
+    switch (distribution.type) {
+      case 'uniform':
+        return distribution.min + random() * (distribution.max - distribution.min);
+
+      case 'triangular': {
+        const { min, mode, max } = distribution;
+        if (max === min) return min;
+        const u = random();
+        const split = (mode - min) / (max - min);
+        return u < split
+          ? min + Math.sqrt(u * (max - min) * (mode - min))
+          : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+      }
+
+      case 'normal': {
+        // Box-Muller transform; 1 - random() avoids log(0)
+        const z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        const value = distribution.mean + z * distribution.sd;
+        return Math.min(Math.max(value, distribution.min), distribution.max);
+      }
+
+      case 'pert':
+      default: {
+        const { min, mode, max } = distribution;
+        if (max === min) return min;
+        const alpha = 1 + 4 * (mode - min) / (max - min);
+        const beta = 1 + 4 * (max - mode) / (max - min);
+        const x = this.sampleGamma(alpha, random);
+        const y = this.sampleGamma(beta, random);
+        return min + (x / (x + y)) * (max - min);
+      }
+    }
+  }
+
+  // Marsaglia-Tsang gamma sampler (shape >= 1, which PERT always satisfies)
+  sampleGamma(shape, random) {
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+      let x;
+      let v;
+      do {
+        x = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        v = 1 + c * x;
+      } while (v <= 0);
+      v = v * v * v;
+      const u = 1 - random();
+      if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+        return d * v;
+      }
+    }
+  }
+
+  // Strategies the optimal blend draws on, plus 'optimal' itself
+  getDefaultStrategies() {
+    const model = this.pricingModel;
+    const auto = model.blendSettings.mode === 'auto';
+    return [...model.strategies.getBlendedNames().filter(name => auto || model.getBlendWeight(name) > 0), 'optimal'];
+  }
+
+  // Runs `iterations` samples through each strategy and summarizes the results. Strategies default
+  // to those in the optimal blend, as each extra strategy (the demand optimizer especially) adds
+  // its full cost to every iteration.
+  run({ iterations = 1000, seed = 1, percentiles = [5, 10, 25, 50, 75, 90, 95], strategies = null } = {}) {
+    requireNumber('iterations', iterations, { min: 1 });
+    const random = createSeededRandom(requireNumber('seed', seed));
+    const strategyNames = strategies !== null ? strategies : this.getDefaultStrategies();
+    strategyNames.forEach((name, index) => {
+      if (name !== 'optimal' && !this.pricingModel.strategies.has(name)) {
+        throw new ValidationError(`strategies[${index}]`, name, 'must name a registered strategy or "optimal"');
+      }
+    });
+    const inputs = getModelInputs(this.pricingModel).filter(input => this.distributions[input.key]);
+    const targetMargin = this.pricingModel.costModel.targetMargin;
+    const outcomes = {};
+
+    for (let i = 0; i < iterations; i++) {
+      const model = this.pricingModel.clone();
+      inputs.forEach(input => input.set(model, this.sample(this.distributions[input.key], random)));
+
+      strategyNames.forEach(strategy => {
+        const recommendation = model.getPriceRecommendation(strategy);
+        if (!outcomes[strategy]) {
+          outcomes[strategy] = { price: [], margin: [], breakEvenVolume: [] };
+        }
+        outcomes[strategy].price.push(recommendation.price);
+        outcomes[strategy].margin.push(recommendation.margin);
+        outcomes[strategy].breakEvenVolume.push(recommendation.breakEvenVolume);
+      });
+    }
+
+    const results = {};
+    Object.entries(outcomes).forEach(([strategy, samples]) => {
+      results[strategy] = {
+        price: this.summarize(samples.price, percentiles),
+        margin: this.summarize(samples.margin, percentiles),
+        breakEvenVolume: this.summarize(samples.breakEvenVolume, percentiles),
+        // Small tolerance so prices rounded to cents still count as hitting the target
+        probabilityOfTargetMargin: samples.margin.filter(margin => margin >= targetMargin - 1e-4).length / iterations
+      };
+    });
+
+    return {
+      iterations,
+      seed,
+      targetMargin,
+      distributions: { ...this.distributions },
+      strategies: results
+    };
+  }
+
+  summarize(values, percentiles) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const finite = sorted.filter(Number.isFinite);
+    const summary = {
+      mean: finite.length > 0 ? finite.reduce((total, value) => total + value, 0) / finite.length : Infinity,
+      min: sorted[0],
+      max: sorted[sorted.length - 1]
+    };
+
+    // Nearest-rank percentiles
+    percentiles.forEach(p => {
+      const rank = Math.min(Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0), sorted.length - 1);
+      summary[`p${p}`] = sorted[rank];
+    });
+
+    return summary;
+  }
+}
+
+// Allocation drivers for shared overhead in a product catalog
+const ALLOCATION_DRIVERS = ['volume', 'labor-hours', 'revenue', 'custom'];
+
+// ProductCatalogModel: many products sharing one pool of indirect costs
+class ProductCatalogModel {
+  constructor(businessType = 'service') {
+    this.businessType = businessType;
+    this.products = [];
+    this.sharedCosts = new CostModel(businessType); // Holds shared indirect costs only
+    this.nextId = 1;
+  }
+
+  // `costModel` carries the product's own direct, time and product-specific indirect costs.
+  // `referencePrice` feeds the revenue driver; `drivers` holds custom driver quantities per month.
+  addProduct(name, costModel, options = {}) {
+    const referencePrice = options.referencePrice !== undefined
+      ? requireNumber('referencePrice', options.referencePrice, { min: 0, minExclusive: true })
+      : null;
+    const id = `prod_${this.nextId++}`;
+    this.products.push({
+      id,
+      name,
+      costModel,
+      referencePrice,
+      drivers: { ...(options.drivers || {}) }
+    });
+    return id;
+  }
+
+  getProduct(id) {
+    return this.products.find(p => p.id === id) || null;
+  }
+
+  removeProduct(id) {
+    const index = this.products.findIndex(p => p.id === id);
+    if (index >= 0) {
+      this.products.splice(index, 1);
+      return true;
+    }
+    return false;
+  }
+
+  // `driver` is one of ALLOCATION_DRIVERS; custom drivers name the product driver via `options.driverKey`
+  addSharedIndirectCost(name, amount, period = 'month', driver = 'volume', options = {}) {
+    if (!ALLOCATION_DRIVERS.includes(driver)) {
+      throw new ValidationError('driver', driver, `must be one of ${ALLOCATION_DRIVERS.join(', ')}`);
+    }
+    if (driver === 'custom' && !options.driverKey) {
+      throw new ValidationError('driverKey', options.driverKey, 'is required for custom allocation drivers');
+    }
+
+    this.sharedCosts.addIndirectCost(name, amount, period, options);
+    const cost = this.sharedCosts.indirectCosts[this.sharedCosts.indirectCosts.length - 1];
+    cost.driver = driver;
+    cost.driverKey = driver === 'custom' ? options.driverKey : null;
+    return true;
+  }
+
+  // Monthly driver quantity a product consumes
+  calculateDriverQuantity(product, driver, driverKey = null) {
+    const { costModel } = product;
+
+    switch (driver) {
+      case 'volume':
+        return costModel.expectedVolume;
+
+      // Paid hours, the hours the product is costed on (delivered hours grossed up for utilization)
+      case 'labor-hours': {
+        const hoursPerUnit = costModel.timeCosts.reduce(
+          (total, cost) => total + costModel.calculateTimeCostDetails(cost).paidHoursPerUnit, 0
+        );
+        return hoursPerUnit * costModel.expectedVolume;
+      }
+
+      case 'revenue': {
+        // Without a reference price, fall back to the product's variable cost base
+        const unitPrice = product.referencePrice !== null
+          ? product.referencePrice
+          : costModel.calculateTotalDirectCost() + costModel.calculateTotalTimeCost();
+        return unitPrice * costModel.expectedVolume;
+      }
+
+      case 'custom':
+      default:
+        return Number(product.drivers[driverKey]) || 0;
+    }
+  }
+
+  // Monthly shared overhead allocated to a product, broken down per shared cost
+  calculateAllocatedOverhead(productId) {
+    const product = this.getProduct(productId);
+    if (!product) {
+      return null;
+    }
+
+    const breakdown = this.sharedCosts.indirectCosts.map(cost => {
+      const totalQuantity = this.products.reduce(
+        (total, p) => total + this.calculateDriverQuantity(p, cost.driver, cost.driverKey), 0
+      );
+      const productQuantity = this.calculateDriverQuantity(product, cost.driver, cost.driverKey);
+      const share = totalQuantity > 0 ? productQuantity / totalQuantity : 0;
+      const monthlyCost = this.sharedCosts.calculateMonthlyIndirectCost(cost);
+
+      return {
+        name: cost.name,
+        driver: cost.driver === 'custom' ? `custom:${cost.driverKey}` : cost.driver,
+        share,
+        monthlyAmount: monthlyCost * share
+      };
+    });
+
+    const monthlyTotal = breakdown.reduce((total, item) => total + item.monthlyAmount, 0);
+
+    return {
+      productId,
+      breakdown,
+      monthlyTotal,
+      perUnit: monthlyTotal / product.costModel.expectedVolume
+    };
+  }
+
+  // A copy of the product's CostModel with its share of shared overhead added as a monthly cost
+  getAllocatedCostModel(productId) {
+    const product = this.getProduct(productId);
+    if (!product) {
+      return null;
+    }
+
+    const allocation = this.calculateAllocatedOverhead(productId);
+    const allocatedModel = product.costModel.clone();
+    // Shared overhead is stated in the catalog's currency, not the product's
+    allocatedModel.addIndirectCost('Allocated shared overhead', allocation.monthlyTotal, 'month', {
+      currency: this.sharedCosts.currency
+    });
+    return allocatedModel;
+  }
+
+  createPricingModel(productId) {
+    const allocatedModel = this.getAllocatedCostModel(productId);
+    return allocatedModel ? new PricingModel(allocatedModel) : null;
+  }
+
+  getCatalogSummary(strategy = 'optimal') {
+    return this.products.map(product => {
+      const allocation = this.calculateAllocatedOverhead(product.id);
+      const allocatedModel = this.getAllocatedCostModel(product.id);
+      return {
+        id: product.id,
+        name: product.name,
+        allocatedOverhead: allocation.monthlyTotal,
+        costPerUnit: allocatedModel.calculateTotalCostPerUnit(),
+        recommendation: new PricingModel(allocatedModel).getPriceRecommendation(strategy)
+      };
+    });
+  }
+}
+
+const TIER_ROLES = ['standard', 'decoy'];
+
+// Good-better-best packages built on one PricingModel. Tiers are listed cheapest first; each tier's
+// costs and value uplifts are relative to the base model, not to the tier below it. A 'decoy' tier
+// is priced just under the next tier up so that tier reads as the better deal.
+class TierPackageModel {
+  constructor(pricingModel) {
+    this.pricingModel = pricingModel;
+    this.tiers = [];
+    this.segmentFactorWeights = {};
+    this.gapSettings = {
+      minGap: 0.2, // Each tier costs at least this much more than the tier below, as a share of its price
+      maxGap: 1.5, // Larger jumps are flagged
+      decoyGap: 0.1 // A decoy sits this share below the next tier up
+    };
+  }
+
+  // options: { directCosts: [{ name, amount, unit }], timeCosts: [{ name, rate, hours }],
+  //            valueUplifts: { factorName: scoreIncrease }, targetSegment, role }
+  addTier(name, options = {}) {
+    const { directCosts = [], timeCosts = [], valueUplifts = {}, targetSegment = null, role = 'standard' } = options;
+    const prefix = `tiers[${this.tiers.length}]`;
+    if (!TIER_ROLES.includes(role)) {
+      throw new ValidationError(`${prefix}.role`, role, `must be one of ${TIER_ROLES.join(', ')}`);
+    }
+    if (this.tiers.some(tier => tier.name === name)) {
+      throw new ValidationError(`${prefix}.name`, name, 'must be unique');
+    }
+    Object.entries(valueUplifts).forEach(([factorName, uplift]) => {
+      this.requireFactor(`${prefix}.valueUplifts`, factorName);
+      requireNumber(`${prefix}.valueUplifts.${factorName}`, uplift);
+    });
+    if (targetSegment !== null) {
+      this.requireSegment(`${prefix}.targetSegment`, targetSegment);
+    }
+
+    this.tiers.push({
+      name,
+      directCosts: directCosts.map(cost => ({ ...cost })),
+      timeCosts: timeCosts.map(cost => ({ ...cost })),
+      valueUplifts: { ...valueUplifts },
+      targetSegment,
+      role
+    });
+  }
+
+  requireFactor(field, factorName) {
+    if (!this.pricingModel.valueFactors.some(factor => factor.name === factorName)) {
+      throw new ValidationError(field, factorName, 'must name a value factor');
+    }
+  }
+
+  requireSegment(field, segmentName) {
+    if (!this.pricingModel.customerSegmentModel.segments.some(segment => segment.name === segmentName)) {
+      throw new ValidationError(field, segmentName, 'must name a customer segment');
+    }
+  }
+
+  setGapOptions(options = {}) {
+    const settings = { ...this.gapSettings, ...options };
+    settings.minGap = requireNumber('tierGaps.minGap', settings.minGap, { min: 0 });
+    settings.maxGap = requireNumber('tierGaps.maxGap', settings.maxGap, { min: settings.minGap });
+    settings.decoyGap = requireNumber('tierGaps.decoyGap', settings.decoyGap, { min: 0, max: 1, maxExclusive: true });
+    this.gapSettings = settings;
+  }
+
+  // How much a segment cares about each value factor; unlisted factors keep their model importance
+  setSegmentFactorWeights(segmentName, weights) {
+    this.requireSegment('segmentFactorWeights', segmentName);
+    Object.entries(weights).forEach(([factorName, importance]) => {
+      this.requireFactor(`segmentFactorWeights.${segmentName}`, factorName);
+      requireNumber(`segmentFactorWeights.${segmentName}.${factorName}`, importance, { min: 0 });
+    });
+    this.segmentFactorWeights[segmentName] = { ...weights };
+  }
+
+  // The base pricing model with the tier's extra costs and value uplifts applied
+  createTierPricingModel(tier) {
+    const model = this.pricingModel.clone();
+    tier.directCosts.forEach(cost => model.costModel.addDirectCost(cost.name, cost.amount, cost.unit));
+    tier.timeCosts.forEach(cost => model.costModel.addTimeCost(cost.name, cost.rate, cost.hours));
+    model.valueFactors.forEach(factor => {
+      factor.score += tier.valueUplifts[factor.name] || 0;
+    });
+    return model;
+  }
+
+  calculateSegmentValueScore(model, segmentName) {
+    const weights = (segmentName && this.segmentFactorWeights[segmentName]) || {};
+    let weightedSum = 0;
+    let totalImportance = 0;
+    model.valueFactors.forEach(factor => {
+      const importance = weights[factor.name] !== undefined ? weights[factor.name] : factor.importance;
+      weightedSum += importance * factor.score;
+      totalImportance += importance;
+    });
+    return totalImportance > 0 ? weightedSum / totalImportance : 0;
+  }
+
+  generate(strategy = 'optimal') {
+    if (this.tiers.length === 0) {
+      throw new ValidationError('tiers', this.tiers, 'must contain at least one tier');
+    }
+    const { minGap, maxGap, decoyGap } = this.gapSettings;
+    const roundPrice = price => Math.round(price * 100) / 100;
+
+    const entries = this.tiers.map(tier => {
+      const model = this.createTierPricingModel(tier);
+      const recommendation = model.getPriceRecommendation(strategy);
+      const minimumViablePrice = model.costModel.calculateMinimumViablePrice();
+      return { tier, model, recommendation, minimumViablePrice, price: Math.max(recommendation.price, minimumViablePrice) };
+    });
+
+    // Standard tiers climb by at least minGap; decoys are then slotted under the next standard tier
+    let previousStandard = null;
+    entries.forEach(entry => {
+      if (entry.tier.role === 'decoy') return;
+      if (previousStandard) {
+        entry.price = Math.max(entry.price, previousStandard.price * (1 + minGap));
+      }
+      entry.price = roundPrice(entry.price);
+      previousStandard = entry;
+    });
+    const warnings = [];
+    entries.forEach((entry, index) => {
+      if (entry.tier.role !== 'decoy') return;
+      const next = entries.slice(index + 1).find(candidate => candidate.tier.role !== 'decoy');
+      if (!next) {
+        warnings.push(`${entry.tier.name} is a decoy but no standard tier sits above it`);
+        entry.price = roundPrice(entry.price);
+        return;
+      }
+      entry.price = roundPrice(Math.max(next.price * (1 - decoyGap), entry.minimumViablePrice));
+      if (entry.price >= next.price) {
+        warnings.push(`${entry.tier.name} cannot sit below ${next.tier.name} without dropping under its minimum viable price`);
+      }
+    });
+
+    const tiers = entries.map((entry, index) => {
+      const { tier, model } = entry;
+      const previous = index > 0 ? entries[index - 1] : null;
+      const lowerStandard = entries.slice(0, index).reverse().find(candidate => candidate.tier.role !== 'decoy');
+      const margin = model.costModel.calculateMarginAtPrice(entry.price);
+      const valueScore = this.calculateSegmentValueScore(model, tier.targetSegment);
+      const valuePerPrice = valueScore / entry.price;
+      const checks = {
+        margin: margin >= model.costModel.targetMargin - 1e-9,
+        gap: null,
+        valuePerPrice: null
+      };
+
+      const gapFromPrevious = previous ? entry.price / previous.price - 1 : null;
+      // Decoy prices are set by decoyGap, so gaps are checked between standard tiers only
+      const standardGap = tier.role !== 'decoy' && lowerStandard ? entry.price / lowerStandard.price - 1 : null;
+      if (standardGap !== null) {
+        checks.gap = standardGap >= minGap - 1e-9 && standardGap <= maxGap + 1e-9;
+      }
+      if (previous) {
+        // A decoy is meant to be the worse deal, so only tiers above one are held to this
+        if (tier.role !== 'decoy') {
+          const previousValuePerPrice = this.calculateSegmentValueScore(previous.model, tier.targetSegment) / previous.price;
+          checks.valuePerPrice = valuePerPrice > previousValuePerPrice;
+        }
+      }
+
+      if (!checks.margin) {
+        warnings.push(`${tier.name} misses the ${(model.costModel.targetMargin * 100).toFixed(1)}% target margin`);
+      }
+      if (checks.gap === false) {
+        warnings.push(`${tier.name} is ${(standardGap * 100).toFixed(1)}% above ${lowerStandard.tier.name}, outside the ${minGap * 100}%-${maxGap * 100}% gap range`);
+      }
+      if (checks.valuePerPrice === false) {
+        warnings.push(`${tier.name} offers ${tier.targetSegment || 'buyers'} less value per price than ${previous.tier.name}`);
+      }
+
+      return {
+        name: tier.name,
+        role: tier.role,
+        targetSegment: tier.targetSegment,
+        price: entry.price,
+        recommendedPrice: entry.recommendation.price,
+        minimumViablePrice: roundPrice(entry.minimumViablePrice),
+        costPerUnit: model.costModel.calculateTotalCostPerUnit(),
+        margin,
+        valueScore,
+        valuePerPrice,
+        gapFromPrevious,
+        checks
+      };
+    });
+
+    const allPass = key => tiers.every(tier => tier.checks[key] !== false);
+    return {
+      strategy,
+      tiers,
+      checks: {
+        margins: allPass('margin'),
+        gaps: allPass('gap'),
+        valuePerPrice: allPass('valuePerPrice'),
+        passed: allPass('margin') && allPass('gap') && allPass('valuePerPrice')
+      },
+      warnings
+    };
+  }
+
+  // Data for ScenarioModel.saveScenario: one price recommendation per tier plus the full ladder
+  getScenarioData(strategy = 'optimal') {
+    const tierPackage = this.generate(strategy);
+    const priceRecommendations = {};
+    tierPackage.tiers.forEach(tier => {
+      priceRecommendations[tier.name] = { price: tier.price, margin: tier.margin };
+    });
+    return {
+      pricingStrategy: { marketPosition: this.pricingModel.marketPosition, priceRecommendations },
+      tierPackage
+    };
+  }
+}
+
+// Several offerings sold together, each priced by its own PricingModel. Component prices are for
+// the whole line (price x quantity), and willingness to pay is per customer for each line.
+class BundleModel {
+  constructor(name = 'Bundle') {
+    this.name = name;
+    this.components = [];
+    this.segments = []; // [{ name, size, willingnessToPay: { componentName: amount } }]
+    this.maxDiscount = 0.2; // Largest discount recommended even when margins allow more
+  }
+
+  addComponent(name, pricingModel, { quantity = 1, strategy = 'optimal' } = {}) {
+    const prefix = `components[${this.components.length}]`;
+    if (this.components.some(component => component.name === name)) {
+      throw new ValidationError(`${prefix}.name`, name, 'must be unique');
+    }
+    this.components.push({
+      name,
+      pricingModel,
+      quantity: requireNumber(`${prefix}.quantity`, quantity, { min: 0, minExclusive: true }),
+      strategy
+    });
+  }
+
+  setMaxDiscount(discount) {
+    this.maxDiscount = requireNumber('maxDiscount', discount, { min: 0, max: 1, maxExclusive: true });
+  }
+
+  // Components missing from willingnessToPay are worth nothing to the segment
+  addSegment(name, size, willingnessToPay) {
+    const prefix = `segments[${this.segments.length}]`;
+    requireNumber(`${prefix}.size`, size, { min: 0 });
+    Object.entries(willingnessToPay).forEach(([componentName, amount]) => {
+      if (!this.components.some(component => component.name === componentName)) {
+        throw new ValidationError(`${prefix}.willingnessToPay.${componentName}`, componentName, 'must name a bundle component');
+      }
+      requireNumber(`${prefix}.willingnessToPay.${componentName}`, amount, { min: 0 });
+    });
+    this.segments.push({ name, size: Number(size), willingnessToPay: { ...willingnessToPay } });
+  }
+
+  // Standalone price, cost and minimum viable price of each line
+  getComponentLines() {
+    if (this.components.length === 0) {
+      throw new ValidationError('components', this.components, 'must contain at least one component');
+    }
+    return this.components.map(component => {
+      const costModel = component.pricingModel.costModel;
+      const unitPrice = component.pricingModel.getPriceRecommendation(component.strategy).price;
+      return {
+        name: component.name,
+        quantity: component.quantity,
+        unitPrice,
+        price: unitPrice * component.quantity,
+        cost: costModel.calculateTotalCostPerUnit() * component.quantity,
+        minimumViablePrice: costModel.calculateMinimumViablePrice() * component.quantity
+      };
+    });
+  }
+
+  // The bundle discount is the largest that keeps every component's target margin in aggregate
+  // (the bundle stays at or above the sum of minimum viable prices), capped at maxDiscount
+  recommend() {
+    const lines = this.getComponentLines();
+    const sumOfParts = lines.reduce((sum, line) => sum + line.price, 0);
+    const totalCost = lines.reduce((sum, line) => sum + line.cost, 0);
+    const floorPrice = lines.reduce((sum, line) => sum + line.minimumViablePrice, 0);
+    const marginDiscount = Math.max(1 - floorPrice / sumOfParts, 0);
+    const discount = Math.min(marginDiscount, this.maxDiscount);
+    const bundlePrice = Math.round(sumOfParts * (1 - discount) * 100) / 100;
+    const warnings = [];
+    if (sumOfParts < floorPrice) {
+      const { pricingModel } = this.components[0];
+      warnings.push(`Component prices add up to ${pricingModel.formatAmount(sumOfParts)}, below the bundle's minimum viable price of ${pricingModel.formatAmount(floorPrice)}, so even the undiscounted bundle misses its target margins`);
+    }
+
+    return {
+      name: this.name,
+      sumOfParts,
+      floorPrice,
+      combinedTargetMargin: 1 - totalCost / floorPrice,
+      maxMarginDiscount: marginDiscount,
+      discount,
+      bundlePrice,
+      margin: (bundlePrice - totalCost) / bundlePrice,
+      allocation: this.allocateRevenue(bundlePrice, lines),
+      warnings
+    };
+  }
+
+  // Splits a bundle price across components in proportion to their standalone prices
+  // (the relative standalone selling price method), for revenue recognition
+  allocateRevenue(bundlePrice, lines = this.getComponentLines()) {
+    const sumOfParts = lines.reduce((sum, line) => sum + line.price, 0);
+    return lines.map(line => {
+      const revenue = bundlePrice * (line.price / sumOfParts);
+      return {
+        name: line.name,
+        standalonePrice: line.price,
+        allocatedRevenue: revenue,
+        allocatedDiscount: line.price - revenue,
+        cost: line.cost,
+        margin: revenue > 0 ? (revenue - line.cost) / revenue : 0
+      };
+    });
+  }
+
+  // What one segment buys from what is offered: the bundle (when bundlePrice is not null) or the
+  // components it values at their price or more, whichever leaves it more surplus; ties go to the bundle
+  chooseOffer(segment, lines, bundlePrice, componentsOffered) {
+    const valueOf = line => segment.willingnessToPay[line.name] || 0;
+    const wanted = componentsOffered ? lines.filter(line => valueOf(line) >= line.price) : [];
+    const componentSurplus = wanted.reduce((sum, line) => sum + valueOf(line) - line.price, 0);
+    const bundleSurplus = bundlePrice !== null ? lines.reduce((sum, line) => sum + valueOf(line), 0) - bundlePrice : -Infinity;
+    const buy = (choice, bought, revenue) => ({
+      choice,
+      components: bought.map(line => line.name),
+      revenue,
+      cost: bought.reduce((sum, line) => sum + line.cost, 0)
+    });
+
+    if (bundleSurplus >= 0 && bundleSurplus >= componentSurplus) {
+      return buy('bundle', lines, bundlePrice);
+    }
+    if (wanted.length > 0) {
+      return buy('components', wanted, wanted.reduce((sum, line) => sum + line.price, 0));
+    }
+    return buy('none', [], 0);
+  }
+
+  // Revenue and profit across segments; a null bundlePrice offers components only
+  evaluateOffer(lines, bundlePrice, componentsOffered = true) {
+    const choices = this.segments.map(segment => ({
+      segment: segment.name,
+      size: segment.size,
+      ...this.chooseOffer(segment, lines, bundlePrice, componentsOffered)
+    }));
+
+    return {
+      bundlePrice,
+      revenue: choices.reduce((sum, choice) => sum + choice.revenue * choice.size, 0),
+      profit: choices.reduce((sum, choice) => sum + (choice.revenue - choice.cost) * choice.size, 0),
+      choices
+    };
+  }
+
+  // Compares selling components only, the bundle only (pure bundling) and both (mixed bundling).
+  // Bundle prices tried are the points where a segment starts buying the bundle, between the
+  // floor price and the sum of parts.
+  analyzeMixedBundling() {
+    if (this.segments.length === 0) {
+      throw new ValidationError('segments', this.segments, 'must contain at least one segment with willingness to pay');
+    }
+    const lines = this.getComponentLines();
+    const recommendation = this.recommend();
+    const candidates = new Set([recommendation.bundlePrice, Math.ceil(recommendation.floorPrice * 100) / 100]);
+    this.segments.forEach(segment => {
+      const bundleValue = lines.reduce((sum, line) => sum + (segment.willingnessToPay[line.name] || 0), 0);
+      const componentSurplus = lines.reduce(
+        (sum, line) => sum + Math.max((segment.willingnessToPay[line.name] || 0) - line.price, 0), 0
+      );
+      candidates.add(Math.floor(bundleValue * 100) / 100);
+      candidates.add(Math.floor((bundleValue - componentSurplus) * 100) / 100);
+    });
+    const prices = [...candidates].filter(
+      price => price >= recommendation.floorPrice - 0.005 && price <= recommendation.sumOfParts
+    );
+
+    const best = (evaluate) => prices
+      .map(evaluate)
+      .reduce((top, outcome) => (top === null || outcome.profit > top.profit ? outcome : top), null);
+    const componentsOnly = this.evaluateOffer(lines, null);
+    const pureBundle = best(price => this.evaluateOffer(lines, price, false));
+    const mixed = best(price => this.evaluateOffer(lines, price));
+
+    const options = { components: componentsOnly, 'pure-bundle': pureBundle, mixed };
+    const recommended = Object.entries(options)
+      .filter(([, outcome]) => outcome !== null)
+      .reduce((top, entry) => (top === null || entry[1].profit > top[1].profit ? entry : top), null)[0];
+
+    return {
+      componentsOnly,
+      pureBundle,
+      mixed,
+      recommended,
+      allocation: options[recommended].bundlePrice !== null ? this.allocateRevenue(options[recommended].bundlePrice, lines) : null
+    };
+  }
+}
+
+// Simple ScenarioModel for testing
+class ScenarioModel {
+  constructor() {
+    this.scenarios = {};
+  }
+  
+  // Pass `data.exchangeRates` (an ExchangeRateTable) to record the rates the scenario was priced with
+  saveScenario(name, data) {
+    const scenario = {
+      ...data,
+      createdAt: new Date().toISOString()
+    };
+    if (data.exchangeRates instanceof ExchangeRateTable) {
+      scenario.exchangeRates = data.exchangeRates.toJSON();
+    }
+    this.scenarios[name] = scenario;
+    return true;
+  }
+  
+  getScenario(name) {
+    return this.scenarios[name] || null;
+  }
+
+  // Rebuilds the exchange rates a scenario was saved with, or null if it recorded none
+  getScenarioExchangeRates(name) {
+    const scenario = this.getScenario(name);
+    return scenario && scenario.exchangeRates ? ExchangeRateTable.fromJSON(scenario.exchangeRates) : null;
+  }
+  
+  getAllScenarios() {
+    return this.scenarios;
+  }
+  
+  deleteScenario(name) {
+    if (this.scenarios[name]) {
+      delete this.scenarios[name];
+      return true;
+    }
+    return false;
+  }
+  
+  compareScenarios(scenario1Name, scenario2Name) {
+    const scenario1 = this.getScenario(scenario1Name);
+    const scenario2 = this.getScenario(scenario2Name);
+    
+    if (!scenario1 || !scenario2) {
+      return null;
+    }
+    
+    // Create comparison results
+    return {
+      names: {
+        scenario1: scenario1Name,
+        scenario2: scenario2Name
+      },
+      prices: {
+        scenario1: scenario1.pricingStrategy?.priceRecommendations?.optimal?.price || 0,
+        scenario2: scenario2.pricingStrategy?.priceRecommendations?.optimal?.price || 0,
+        difference: (scenario1.pricingStrategy?.priceRecommendations?.optimal?.price || 0) - 
+                   (scenario2.pricingStrategy?.priceRecommendations?.optimal?.price || 0)
+      },
+      margins: {
+        scenario1: scenario1.pricingStrategy?.priceRecommendations?.optimal?.margin || 0,
+        scenario2: scenario2.pricingStrategy?.priceRecommendations?.optimal?.margin || 0,
+        difference: (scenario1.pricingStrategy?.priceRecommendations?.optimal?.margin || 0) - 
+                   (scenario2.pricingStrategy?.priceRecommendations?.optimal?.margin || 0)
+      },
+      tiers: this.compareTiers(scenario1, scenario2)
+    };
+  }
+
+  // Price differences for tiers present in both scenarios, or null unless both saved a tier package
+  compareTiers(scenario1, scenario2) {
+    if (!scenario1.tierPackage || !scenario2.tierPackage) {
+      return null;
+    }
+    return scenario1.tierPackage.tiers
+      .map(tier => ({ tier, other: scenario2.tierPackage.tiers.find(candidate => candidate.name === tier.name) }))
+      .filter(({ other }) => other)
+      .map(({ tier, other }) => ({
+        name: tier.name,
+        scenario1: tier.price,
+        scenario2: other.price,
+        difference: tier.price - other.price
+      }));
+  }
+}
+
+// Run tests
+
+function runTests() {
+  console.log("Running Dynamic Pricing Optimizer Model Tests\n");
+  
+  // Test 1: CostModel Basic Functionality
+  console.log("Test 1: CostModel Basic Functionality");
+  const costModel = new CostModel('service');
+  costModel.addDirectCost('Materials', 50);
+  costModel.addIndirectCost('Office Space', 2000, 'month');
+  costModel.addTimeCost('Developer', 75, 8);
+  costModel.setTargetMargin(0.30);
+  costModel.setExpectedVolume(20);
+
+  console.log("Direct Costs:", costModel.calculateTotalDirectCost());
+  console.log("Time Costs:", costModel.calculateTotalTimeCost());
+  console.log("Indirect Costs (allocated):", costModel.calculateAllocatedIndirectCost());
+  console.log("Total Cost Per Unit:", costModel.calculateTotalCostPerUnit());
+  console.log("Minimum Viable Price:", costModel.calculateMinimumViablePrice());
+  console.log("Break-Even Volume at $1200:", costModel.calculateBreakEvenVolume(1200));
+
+  // Test 2: PricingModel with cost-plus strategy
+  console.log("\nTest 2: PricingModel with cost-plus strategy");
+  const pricingModel = new PricingModel(costModel);
+  const costPlusPrice = pricingModel.calculateCostPlusPrice();
+  console.log("Cost-Plus Price:", costPlusPrice);
+  console.log("Cost-Plus Recommendation:", JSON.stringify(pricingModel.getPriceRecommendation('cost-plus')));
+
+  // Test 3: PricingModel with competitors
+  console.log("\nTest 3: PricingModel with competitors");
+  pricingModel.addCompetitor('Competitor A', 1000);
+  pricingModel.addCompetitor('Competitor B', 1200);
+  const competitorPrice = pricingModel.calculateCompetitorIndexedPrice();
+  console.log("Competitor-Indexed Price:", competitorPrice);
+  console.log("Competitor-Based Recommendation:", JSON.stringify(pricingModel.getPriceRecommendation('competitor')));
+
+  // Test 4: PricingModel with value factors
+  console.log("\nTest 4: PricingModel with value factors");
+  pricingModel.addValueFactor('Quality', 8, 9);
+  pricingModel.addValueFactor('Support', 6, 8);
+  pricingModel.addValueFactor('Features', 7, 7);
+  const valuePrice = pricingModel.calculateValueBasedPrice();
+  console.log("Value-Based Price:", valuePrice);
+  console.log("Value-Based Recommendation:", JSON.stringify(pricingModel.getPriceRecommendation('value')));
+
+  // Test 5: Market position impact
+  console.log("\nTest 5: Market position impact");
+  console.log("Mid-market pricing:", JSON.stringify(pricingModel.getPriceRecommendation('optimal')));
+  pricingModel.setMarketPosition('premium');
+  console.log("Premium pricing:", JSON.stringify(pricingModel.getPriceRecommendation('optimal')));
+  pricingModel.setMarketPosition('budget');
+  console.log("Budget pricing:", JSON.stringify(pricingModel.getPriceRecommendation('optimal')));
+
+  // Test 6: Customer segments
+  console.log("\nTest 6: Customer segments");
+  const enterpriseId = pricingModel.addSegment('Enterprise', 30, 3, 'Large enterprise customers');
+  const smbId = pricingModel.addSegment('SMB', 50, 7, 'Small and medium businesses');
+  const startupId = pricingModel.addSegment('Startup', 20, 9, 'Early-stage startups');
+  console.log("Customer Segments:", pricingModel.segments);
+  
+  // Test segment update and removal
+  console.log("\nTest 7: Customer segment operations");
+  const updateResult = pricingModel.customerSegmentModel.updateSegment(smbId, { size: 55, description: 'Updated SMB description' });
+  console.log("Update Result:", updateResult);
+  console.log("Updated Segments:", pricingModel.segments);
+  
+  const removeResult = pricingModel.customerSegmentModel.removeSegment(startupId);
+  console.log("Remove Result:", removeResult);
+  console.log("Remaining Segments:", pricingModel.segments);
+  
+  // Test weighted elasticity
+  console.log("\nTest 8: Weighted elasticity");
+  console.log("Weighted Elasticity:", pricingModel.customerSegmentModel.calculateWeightedElasticity());
+
+  // Test 9: Get all price recommendations
+  console.log("\nTest 9: All price recommendations");
+  console.log(JSON.stringify(pricingModel.getAllPriceRecommendations(), null, 2));
+
+  // Test 10: Scenario Model
+  console.log("\nTest 10: ScenarioModel functionality");
+  const scenarioModel = new ScenarioModel();
+  
+  // Save scenarios
+  scenarioModel.saveScenario('Basic Strategy', {
+    costAnalysis: {
+      costBreakdown: { total: 750, direct: 50, time: 600, indirect: 100 }
+    },
+    pricingStrategy: {
+      marketPosition: 'mid-market',
+      priceRecommendations: {
+        optimal: { price: 1071.43, margin: 0.30 }
+      }
+    }
+  });
+  
+  scenarioModel.saveScenario('Premium Strategy', {
     costAnalysis: {
       costBreakdown: { total: 750, direct: 50, time: 600, indirect: 100 }
     },
-    pricingStrategy: {
-      marketPosition: 'premium',
-      priceRecommendations: {
-        optimal: { price: 1285.72, margin: 0.42 }
+    pricingStrategy: {
+      marketPosition: 'premium',
+      priceRecommendations: {
+        optimal: { price: 1285.72, margin: 0.42 }
+      }
+    }
+  });
+  
+  console.log("All Scenarios:", Object.keys(scenarioModel.getAllScenarios()));
+  console.log("Basic Strategy:", scenarioModel.getScenario('Basic Strategy'));
+  
+  // Compare scenarios
+  console.log("\nTest 11: Scenario Comparison");
+  console.log("Comparison:", JSON.stringify(scenarioModel.compareScenarios('Basic Strategy', 'Premium Strategy'), null, 2));
+  
+  // Delete scenario
+  console.log("\nTest 12: Delete Scenario");
+  console.log("Delete Result:", scenarioModel.deleteScenario('Basic Strategy'));
+  console.log("Remaining Scenarios:", Object.keys(scenarioModel.getAllScenarios()));
+
+  // Verify edge cases and error handling
+  console.log("\nTest 13: Error handling");
+  try {
+    pricingModel.setMarketPosition('luxury');
+    console.log("Error: Should have thrown an error for invalid market position");
+  } catch (e) {
+    console.log("Successfully caught invalid market position error:", e.message);
+  }
+
+  // Test 14: Tiered, step and minimum-order direct costs
+  console.log("\nTest 14: Volume-dependent direct costs");
+  const volumeCostModel = new CostModel('manufacturing');
+  volumeCostModel.addTieredDirectCost('Resin', [
+    { minVolume: 0, amount: 10 },
+    { minVolume: 500, amount: 8 },
+    { minVolume: 1000, amount: 6 }
+  ]);
+  volumeCostModel.addTieredDirectCost('Packaging', [
+    { minVolume: 0, amount: 2 },
+    { minVolume: 500, amount: 1 }
+  ], 'unit', { pricing: 'graduated' });
+  volumeCostModel.addStepDirectCost('Moulding Machine', 4000, 500);
+  volumeCostModel.addDirectCost('Labels', 0.5, 'unit', { minimumOrderQuantity: 1000 });
+  volumeCostModel.setExpectedVolume(400);
+
+  console.log("Direct Cost at 400 units:", volumeCostModel.calculateTotalDirectCost());
+  console.log("Direct Cost at 750 units:", volumeCostModel.calculateTotalDirectCost(750));
+  console.log("Direct Cost at 1200 units:", volumeCostModel.calculateTotalDirectCost(1200));
+  console.log("Minimum Viable Price at 400 units:", volumeCostModel.calculateMinimumViablePrice());
+  console.log("Minimum Viable Price at 1200 units:", volumeCostModel.calculateMinimumViablePrice(1200));
+
+  // 400 units: resin 10 + packaging 2 + machine 4000/400 + labels 0.5*1000/400
+  if (Math.abs(volumeCostModel.calculateTotalDirectCost() - 23.25) > 1e-9) {
+    throw new Error("Tiered direct cost calculation failed at expected volume");
+  }
+  // 1200 units: resin 6 + packaging (500*2 + 700*1)/1200 + machine 3*4000/1200 + labels 0.5
+  const expectedAt1200 = 6 + 1700 / 1200 + 10 + 0.5;
+  if (Math.abs(volumeCostModel.calculateTotalDirectCost(1200) - expectedAt1200) > 1e-9) {
+    throw new Error("Tiered direct cost calculation failed at explicit volume");
+  }
+  if (costModel.calculateTotalDirectCost() !== 50) {
+    throw new Error("Flat direct cost calculation changed");
+  }
+
+  // Test 15: Indirect cost periods and amortized one-off costs
+  console.log("\nTest 15: Indirect cost periods");
+  const periodCostModel = new CostModel('service');
+  periodCostModel.addIndirectCost('Cleaning', 20, 'day');
+  periodCostModel.addIndirectCost('Team Lunch', 120, 'week');
+  periodCostModel.addIndirectCost('Office Space', 2000, 'month');
+  periodCostModel.addIndirectCost('Accounting', 900, 'quarter');
+  periodCostModel.addIndirectCost('Insurance', 2400, 'year');
+  periodCostModel.addIndirectCost('Fit-out', 12000, 'one-off', { amortizationMonths: 24 });
+  periodCostModel.addDirectCost('Materials', 50);
+  periodCostModel.setExpectedVolume(100);
+
+  const expectedMonthly = 20 * 365 / 12 + 120 * 52 / 12 + 2000 + 300 + 200 + 500;
+  console.log("Monthly Indirect Costs:", periodCostModel.calculateTotalMonthlyIndirectCost());
+  console.log("Indirect Costs (allocated):", periodCostModel.calculateAllocatedIndirectCost());
+  console.log("Break-Even Volume at $150:", periodCostModel.calculateBreakEvenVolume(150));
+
+  if (Math.abs(periodCostModel.calculateTotalMonthlyIndirectCost() - expectedMonthly) > 1e-9) {
+    throw new Error("Indirect cost period normalization failed");
+  }
+  if (Math.abs(periodCostModel.calculateBreakEvenVolume(150) - expectedMonthly / 100) > 1e-9) {
+    throw new Error("Break-even volume does not use normalized indirect costs");
+  }
+
+  try {
+    periodCostModel.addIndirectCost('Software', 100, 'fortnight');
+    console.log("Error: Should have thrown an error for unknown period");
+  } catch (e) {
+    console.log("Successfully caught unknown period error:", e.message);
+  }
+
+  try {
+    periodCostModel.addIndirectCost('Equipment', 5000, 'one-off');
+    console.log("Error: Should have thrown an error for missing amortization months");
+  } catch (e) {
+    console.log("Successfully caught missing amortization error:", e.message);
+  }
+
+  // Test 16: Product catalog with activity-based overhead allocation
+  console.log("\nTest 16: Product catalog overhead allocation");
+  const catalog = new ProductCatalogModel('service');
+
+  const auditModel = new CostModel('service');
+  auditModel.addDirectCost('Software Licence', 20);
+  auditModel.addTimeCost('Consultant', 100, 10);
+  auditModel.setExpectedVolume(30);
+
+  const bookkeepingModel = new CostModel('service');
+  bookkeepingModel.addTimeCost('Bookkeeper', 50, 2);
+  bookkeepingModel.setExpectedVolume(90);
+
+  const auditId = catalog.addProduct('Audit', auditModel, { referencePrice: 1800, drivers: { tickets: 10 } });
+  const bookkeepingId = catalog.addProduct('Bookkeeping', bookkeepingModel, { referencePrice: 150, drivers: { tickets: 30 } });
+
+  catalog.addSharedIndirectCost('Office Space', 3000, 'month', 'volume');
+  catalog.addSharedIndirectCost('Training', 4800, 'month', 'labor-hours');
+  catalog.addSharedIndirectCost('Billing Admin', 1380, 'month', 'revenue');
+  catalog.addSharedIndirectCost('Helpdesk', 800, 'month', 'custom', { driverKey: 'tickets' });
+
+  const auditAllocation = catalog.calculateAllocatedOverhead(auditId);
+  const bookkeepingAllocation = catalog.calculateAllocatedOverhead(bookkeepingId);
+  console.log("Audit Allocation:", JSON.stringify(auditAllocation, null, 2));
+  console.log("Bookkeeping Allocation:", JSON.stringify(bookkeepingAllocation, null, 2));
+
+  // Volume 30/120, hours 300/480, revenue 54000/67500, tickets 10/40
+  const expectedAuditOverhead = 3000 * 0.25 + 4800 * 0.625 + 1380 * 0.8 + 800 * 0.25;
+  if (Math.abs(auditAllocation.monthlyTotal - expectedAuditOverhead) > 1e-9) {
+    throw new Error("Activity-based overhead allocation failed");
+  }
+  if (Math.abs(auditAllocation.monthlyTotal + bookkeepingAllocation.monthlyTotal - 9980) > 1e-9) {
+    throw new Error("Allocated overhead does not sum to shared overhead");
+  }
+
+  const auditPricingModel = catalog.createPricingModel(auditId);
+  console.log("Audit Cost-Plus Recommendation:", JSON.stringify(auditPricingModel.getPriceRecommendation('cost-plus')));
+  console.log("Catalog Summary:", JSON.stringify(catalog.getCatalogSummary('cost-plus'), null, 2));
+
+  if (auditModel.indirectCosts.length !== 0) {
+    throw new Error("Allocation should not modify the product's own cost model");
+  }
+
+  // A product costed in another currency receives its overhead converted (USD 1000 = EUR 500)
+  const euroCatalog = new ProductCatalogModel('service');
+  const euroModel = new CostModel('service');
+  euroModel.setReportingCurrency('EUR');
+  euroModel.setExchangeRates(ExchangeRateTable.fromJSON({ baseCurrency: 'USD', rates: { EUR: 2 } }));
+  euroModel.addDirectCost('Materials', 10);
+  euroModel.setExpectedVolume(10);
+  const euroId = euroCatalog.addProduct('Euro Service', euroModel);
+  euroCatalog.addSharedIndirectCost('Office Space', 1000, 'month', 'volume');
+  const euroAllocated = euroCatalog.getAllocatedCostModel(euroId);
+  console.log("Allocated Overhead (EUR):", euroAllocated.calculateTotalMonthlyIndirectCost());
+  if (Math.abs(euroAllocated.calculateTotalMonthlyIndirectCost() - 500) > 1e-9) {
+    throw new Error("Allocated overhead was not converted to the product's currency");
+  }
+
+  // At 50% utilization each delivered hour takes two paid hours: 40 of the 50 paid hours a month
+  const laborCatalog = new ProductCatalogModel('service');
+  const consultingModel = new CostModel('service');
+  consultingModel.addTimeCost('Consultant', 100, 2, { utilization: 0.5 });
+  consultingModel.setExpectedVolume(10);
+  const supportModel = new CostModel('service');
+  supportModel.addTimeCost('Support', 50, 1);
+  supportModel.setExpectedVolume(10);
+  const consultingId = laborCatalog.addProduct('Consulting', consultingModel);
+  laborCatalog.addProduct('Support', supportModel);
+  laborCatalog.addSharedIndirectCost('Training', 1000, 'month', 'labor-hours');
+  if (Math.abs(laborCatalog.calculateAllocatedOverhead(consultingId).monthlyTotal - 800) > 1e-9) {
+    throw new Error("Labor-hours driver did not use paid hours");
+  }
+
+  try {
+    catalog.addProduct('Broken', new CostModel('service'), { referencePrice: 'abc' });
+    console.log("Error: Should have thrown an error for a non-numeric reference price");
+  } catch (e) {
+    console.log("Successfully caught reference price error:", e.message);
+  }
+
+  try {
+    catalog.addSharedIndirectCost('Rent', 100, 'month', 'floor-space');
+    console.log("Error: Should have thrown an error for unknown driver");
+  } catch (e) {
+    console.log("Successfully caught unknown driver error:", e.message);
+  }
+
+  // Test 17: Input validation and structured errors
+  console.log("\nTest 17: Input validation");
+  const validatedCostModel = new CostModel('service');
+  const rejectedInputs = [
+    () => validatedCostModel.addDirectCost('Materials', 'abc'),
+    () => validatedCostModel.addDirectCost('Materials', -5),
+    () => validatedCostModel.addTimeCost('Developer', 75, -1),
+    () => validatedCostModel.setTargetMargin(1),
+    () => validatedCostModel.setExpectedVolume(0)
+  ];
+
+  rejectedInputs.forEach(addInput => {
+    try {
+      addInput();
+      throw new Error("Invalid input was accepted");
+    } catch (e) {
+      if (!(e instanceof ValidationError)) {
+        throw e;
+      }
+      console.log("Rejected:", JSON.stringify(e));
+    }
+  });
+
+  if (validatedCostModel.directCosts.length !== 0 || validatedCostModel.targetMargin !== 0.30 || validatedCostModel.expectedVolume !== 100) {
+    throw new Error("Rejected input modified the model");
+  }
+
+  // State assigned directly (e.g. loaded from storage) is reported by validate()
+  validatedCostModel.addDirectCost('Materials', '50');
+  validatedCostModel.directCosts.push({ name: 'Broken', type: 'flat', amount: NaN, unit: 'unit' });
+  validatedCostModel.targetMargin = 1;
+  validatedCostModel.expectedVolume = 0;
+  const costErrors = validatedCostModel.validate();
+  console.log("CostModel Validation Errors:", JSON.stringify(costErrors));
+  if (costErrors.length !== 3 || costErrors[0].field !== 'directCosts[1].amount') {
+    throw new Error("CostModel.validate() did not report every problem");
+  }
+
+  const validatedPricingModel = new PricingModel(validatedCostModel);
+  validatedPricingModel.addValueFactor('Quality', 0, 8);
+  validatedPricingModel.marketPosition = 'luxury';
+  const pricingErrors = validatedPricingModel.validate();
+  console.log("PricingModel Validation Errors:", JSON.stringify(pricingErrors));
+  if (!pricingErrors.some(e => e.field === 'costModel.targetMargin') || !pricingErrors.some(e => e.field === 'marketPosition')) {
+    throw new Error("PricingModel.validate() did not report every problem");
+  }
+  if (costModel.validate().length !== 0 || pricingModel.validate().length !== 0) {
+    throw new Error("Valid models reported validation errors");
+  }
+
+  // Test 18: Utilization, overtime and role mixes for time costs
+  console.log("\nTest 18: Labor utilization and overtime");
+  const laborCostModel = new CostModel('service');
+  laborCostModel.addTimeCost('Consultant', 100, 10, {
+    utilization: 0.8,
+    overtime: { staff: 2, thresholdHours: 160, multiplier: 1.5 }
+  });
+  laborCostModel.addBlendedTimeCost('Delivery Team', [
+    { role: 'Senior', rate: 120, share: 1 },
+    { role: 'Junior', rate: 60, share: 3 }
+  ], 4, { utilization: 0.75 });
+  laborCostModel.setExpectedVolume(40);
+
+  console.log("Time Cost Breakdown:", JSON.stringify(laborCostModel.getTimeCostBreakdown(), null, 2));
+  console.log("Total Time Cost at 40 units:", laborCostModel.calculateTotalTimeCost());
+  console.log("Total Time Cost at 20 units:", laborCostModel.calculateTotalTimeCost(20));
+
+  // Consultant at 40 units: 500 paid hours, 180 over the 320 regular hours at +50%
+  const consultantCost = (500 * 100 + 180 * 100 * 0.5) / 40;
+  // Delivery team: blended rate 75, 4 / 0.75 paid hours per unit
+  const deliveryCost = 75 * 4 / 0.75;
+  if (Math.abs(laborCostModel.calculateTotalTimeCost() - (consultantCost + deliveryCost)) > 1e-9) {
+    throw new Error("Loaded time cost calculation failed");
+  }
+  // At 20 units the consultant's 250 paid hours stay within regular capacity
+  if (Math.abs(laborCostModel.calculateTotalTimeCost(20) - (1250 + deliveryCost)) > 1e-9) {
+    throw new Error("Overtime should not apply below the threshold");
+  }
+  if (costModel.calculateTotalTimeCost() !== 600) {
+    throw new Error("Plain time cost calculation changed");
+  }
+
+  // Test 19: Cost-volume-profit analysis
+  console.log("\nTest 19: Cost-volume-profit analysis");
+  const cvp = new CostVolumeProfitAnalysis(costModel).analyze(1200, { points: 4 });
+  console.log("CVP Analysis at $1200:", JSON.stringify(cvp, null, 2));
+
+  // Variable cost 650/unit, fixed 2000/month, expected volume 20
+  if (Math.abs(cvp.breakEvenVolume - 2000 / 550) > 1e-9 || Math.abs(cvp.breakEvenRevenue - 1200 * 2000 / 550) > 1e-9) {
+    throw new Error("CVP break-even calculation failed");
+  }
+  if (Math.abs(cvp.operatingLeverage - 11000 / 9000) > 1e-9 || Math.abs(cvp.contributionMarginRatio - 550 / 1200) > 1e-9) {
+    throw new Error("CVP leverage or contribution margin ratio failed");
+  }
+  if (Math.abs(cvp.marginOfSafety.ratio - (20 - 2000 / 550) / 20) > 1e-9) {
+    throw new Error("CVP margin of safety failed");
+  }
+  if (cvp.series.length !== 5 || cvp.series[0].profit !== -2000) {
+    throw new Error("CVP profit series failed");
+  }
+  console.log("CVP below variable cost:", new CostVolumeProfitAnalysis(costModel).analyze(600).breakEvenVolume);
+
+  // Test 20: Sensitivity and tornado analysis
+  console.log("\nTest 20: Sensitivity analysis");
+  const sensitivity = new SensitivityAnalysis(pricingModel).analyze({ range: 0.2, strategy: 'cost-plus' });
+  console.log("Baseline:", JSON.stringify(sensitivity.baseline));
+  sensitivity.inputs.forEach(result => {
+    console.log(`${result.label}: ${result.low.price} -> ${result.high.price} (swing ${result.priceSwing.toFixed(2)})`);
+  });
+
+  const ranked = sensitivity.inputs.map(result => result.input);
+  if (ranked[0] !== 'timeCosts[0].rate' && ranked[0] !== 'timeCosts[0].hours') {
+    throw new Error("Developer time should be the largest driver of the cost-plus price");
+  }
+  if (sensitivity.inputs.some((result, i) => i > 0 && result.priceSwing > sensitivity.inputs[i - 1].priceSwing)) {
+    throw new Error("Sensitivity results are not ranked by price swing");
+  }
+  if (sensitivity.inputs.find(result => result.input === 'competitors[0].price').priceSwing !== 0) {
+    throw new Error("Competitor prices should not move the cost-plus price");
+  }
+  if (pricingModel.costModel.timeCosts[0].rate !== 75 || pricingModel.marketPosition !== 'budget') {
+    throw new Error("Sensitivity analysis modified the source model");
+  }
+
+  // Test 21: Monte Carlo simulation
+  console.log("\nTest 21: Monte Carlo simulation");
+  const simulation = new MonteCarloSimulation(pricingModel);
+  simulation.setDistribution('directCosts[0].amount', { type: 'uniform', min: 40, max: 70 });
+  simulation.setDistribution('timeCosts[0].hours', { type: 'pert', min: 6, mode: 8, max: 14 });
+  simulation.setDistribution('timeCosts[0].rate', { type: 'triangular', min: 65, mode: 75, max: 95 });
+  simulation.setDistribution('competitors[0].price', { type: 'normal', mean: 1000, sd: 100, min: 0 });
+
+  const simulationResults = simulation.run({ iterations: 1000, seed: 42 });
+  console.log("Cost-Plus Price Bands:", JSON.stringify(simulationResults.strategies['cost-plus'].price));
+  console.log("Optimal Margin Bands:", JSON.stringify(simulationResults.strategies.optimal.margin));
+  console.log("Competitor Break-Even Volume Bands:", JSON.stringify(simulationResults.strategies.competitor.breakEvenVolume));
+  Object.entries(simulationResults.strategies).forEach(([strategy, result]) => {
+    console.log(`P(margin >= target) for ${strategy}:`, result.probabilityOfTargetMargin);
+  });
+
+  const rerun = simulation.run({ iterations: 1000, seed: 42 });
+  if (JSON.stringify(rerun.strategies) !== JSON.stringify(simulationResults.strategies)) {
+    throw new Error("Seeded simulation is not reproducible");
+  }
+  const priceBands = simulationResults.strategies['cost-plus'].price;
+  if (!(priceBands.p5 <= priceBands.p50 && priceBands.p50 <= priceBands.p95)) {
+    throw new Error("Percentile bands are not ordered");
+  }
+  // Strategies outside the blend (zero weight) are only simulated on request
+  const demandSimulation = simulation.run({ iterations: 50, seed: 42, strategies: ['demand'] });
+  if (simulationResults.strategies.demand || Object.keys(demandSimulation.strategies).join() !== 'demand') {
+    throw new Error("Simulated strategies did not follow the blend or the request");
+  }
+  // Pessimistic PERT hours and triangular rate push the median cost-plus price above the point estimate
+  if (priceBands.p50 <= pricingModel.getPriceRecommendation('cost-plus').price) {
+    throw new Error("Simulated median should exceed the point-estimate price");
+  }
+
+  try {
+    simulation.setDistribution('timeCosts[0].rate', { type: 'lognormal', mean: 75 });
+    console.log("Error: Should have thrown an error for unknown distribution");
+  } catch (e) {
+    console.log("Successfully caught unknown distribution error:", e.message);
+  }
+
+  // Test 22: Multi-currency costs and competitor prices
+  console.log("\nTest 22: Multi-currency costs and prices");
+  // Contents of a rates file as it would be read from disk
+  const ratesFile = JSON.stringify({ baseCurrency: 'USD', asOfDate: '2025-03-01', rates: { EUR: 1.1, GBP: 1.25 } });
+  const exchangeRates = ExchangeRateTable.fromJSON(ratesFile);
+  console.log("Exchange Rates:", JSON.stringify(exchangeRates));
+
+  const currencyCostModel = new CostModel('manufacturing');
+  currencyCostModel.setReportingCurrency('EUR');
+  currencyCostModel.setExchangeRates(exchangeRates);
+  currencyCostModel.addDirectCost('Materials', 44);
+  currencyCostModel.addTimeCost('Contractor', 44, 2, { currency: 'GBP' });
+  currencyCostModel.addIndirectCost('Tooling Lease', 2200, 'month', { currency: 'USD' });
+  currencyCostModel.setExpectedVolume(100);
+
+  // GBP 44/h = USD 55/h = EUR 50/h; USD 2200 = EUR 2000
+  console.log("Total Cost Per Unit (EUR):", currencyCostModel.calculateTotalCostPerUnit());
+  if (Math.abs(currencyCostModel.calculateTotalCostPerUnit() - (44 + 100 + 20)) > 1e-9) {
+    throw new Error("Costs were not converted to the reporting currency");
+  }
+
+  const currencyPricingModel = new PricingModel(currencyCostModel);
+  currencyPricingModel.addCompetitor('US Rival', 330, {}, { currency: 'USD' });
+  currencyPricingModel.addCompetitor('EU Rival', 260);
+  console.log("Competitor-Indexed Price (EUR):", currencyPricingModel.calculateCompetitorIndexedPrice());
+  if (Math.abs(currencyPricingModel.calculateCompetitorIndexedPrice() - 280) > 1e-9) {
+    throw new Error("Competitor prices were not converted to the reporting currency");
+  }
+
+  const unratedModel = currencyCostModel.clone();
+  unratedModel.addDirectCost('Import Duty', 10, 'unit', { currency: 'JPY' });
+  console.log("Missing Rate Errors:", JSON.stringify(unratedModel.validate()));
+  if (unratedModel.validate().length !== 1) {
+    throw new Error("Missing exchange rate was not reported");
+  }
+
+  const currencyScenarios = new ScenarioModel();
+  currencyScenarios.saveScenario('EU Launch', {
+    pricingStrategy: { priceRecommendations: currencyPricingModel.getAllPriceRecommendations() },
+    exchangeRates
+  });
+  const restoredRates = currencyScenarios.getScenarioExchangeRates('EU Launch');
+  console.log("Scenario Exchange Rates:", JSON.stringify(currencyScenarios.getScenario('EU Launch').exchangeRates));
+  if (restoredRates.asOfDate !== '2025-03-01' || restoredRates.convert(100, 'GBP', 'EUR') !== exchangeRates.convert(100, 'GBP', 'EUR')) {
+    throw new Error("Scenario did not record the exchange rates used");
+  }
+
+  // Test 23: Demand curve and profit-maximizing price
+  console.log("\nTest 23: Demand curve and profit-maximizing price");
+  const demandCostModel = new CostModel('service');
+  demandCostModel.addDirectCost('Materials', 40);
+  demandCostModel.addIndirectCost('Office Space', 1000, 'month');
+  demandCostModel.setTargetMargin(0.2);
+
+  const demandPricingModel = new PricingModel(demandCostModel);
+  demandPricingModel.addCompetitor('Competitor A', 100);
+  demandPricingModel.customerSegmentModel.addSegment('Price Sensitive', 50, -3);
+  demandPricingModel.customerSegmentModel.addSegment('Loyal', 50, -1);
+
+  const demandModel = demandPricingModel.getDemandModel();
+  console.log("Weighted Elasticity:", demandModel.elasticity);
+  console.log("Demand at $100 / $120:", demandModel.calculateVolume(100), demandModel.calculateVolume(120));
+  const demandOptimum = demandModel.optimize();
+  console.log("Profit-Maximizing:", JSON.stringify(demandOptimum.profitMaximizing));
+  console.log("Revenue-Maximizing:", JSON.stringify(demandOptimum.revenueMaximizing));
+
+  // Constant elasticity e = -2 with variable cost 40 gives the markup rule P = c * e / (1 + e) = 80
+  if (Math.abs(demandOptimum.profitMaximizing.price - 80) > 0.01) {
+    throw new Error("Profit-maximizing price calculation failed");
+  }
+  // With |e| > 1 revenue falls as price rises, so revenue peaks at the minimum viable price
+  if (!demandOptimum.revenueMaximizing.floorBinding) {
+    throw new Error("Revenue-maximizing price should sit on the minimum viable price");
+  }
+
+  demandPricingModel.setDemandModel('linear', 100);
+  const linearOptimum = demandPricingModel.getDemandModel().optimize();
+  console.log("Linear Profit-Maximizing:", JSON.stringify(linearOptimum.profitMaximizing));
+  // Linear Q = 100 * (3 - 2P/100): profit peaks at P = (150 + 40) / 2 = 95
+  if (Math.abs(linearOptimum.profitMaximizing.price - 95) > 0.01) {
+    throw new Error("Linear demand optimization failed");
+  }
+
+  const demandRecommendation = demandPricingModel.getPriceRecommendation('demand');
+  console.log("Demand Recommendation:", JSON.stringify(demandRecommendation));
+  if (demandRecommendation.price < demandCostModel.calculateMinimumViablePrice()) {
+    throw new Error("Demand strategy priced below the minimum viable price");
+  }
+  console.log("Demand Curve Sample:", JSON.stringify(demandPricingModel.getDemandModel().generateCurve({ minPrice: 60, maxPrice: 140, points: 4 })));
+
+  // The default elasticity (-0.5) is inelastic: profit keeps rising with price, so the result is flagged
+  const inelasticPricingModel = new PricingModel(demandCostModel);
+  const inelasticRecommendation = inelasticPricingModel.getPriceRecommendation('demand');
+  console.log("Inelastic Demand Recommendation:", JSON.stringify(inelasticRecommendation));
+  if (!inelasticRecommendation.atUpperBound || !inelasticRecommendation.explanation.includes('top of the search range')) {
+    throw new Error("Inelastic demand optimum was not flagged as the search limit");
+  }
+  if (inelasticRecommendation.confidenceLevel >= demandRecommendation.confidenceLevel) {
+    throw new Error("Inelastic demand optimum should lower confidence");
+  }
+  if (demandRecommendation.atUpperBound) {
+    throw new Error("Elastic demand optimum should not be at the search limit");
+  }
+
+  // Test 24: Configurable and confidence-weighted optimal blend
+  console.log("\nTest 24: Optimal strategy blending");
+  const blendCostModel = new CostModel('service');
+  blendCostModel.addDirectCost('Materials', 50);
+  blendCostModel.addTimeCost('Developer', 75, 8);
+  blendCostModel.addIndirectCost('Office Space', 2000, 'month');
+  blendCostModel.setExpectedVolume(20);
+  const blendPricingModel = new PricingModel(blendCostModel);
+
+  // Default fixed weights keep the original 40/30/30 blend
+  const defaultBlend = blendPricingModel.getPriceRecommendation('optimal');
+  console.log("Default Blend:", JSON.stringify(defaultBlend));
+  if (Math.abs(defaultBlend.price - 1071.43) > 0.005 || defaultBlend.appliedWeights['cost-plus'] !== 0.4) {
+    throw new Error("Default blend changed");
+  }
+
+  // Without competitors the competitor and value prices are cost-plus fallbacks, so auto mode drops them
+  blendPricingModel.setBlendWeights('auto');
+  const autoBlend = blendPricingModel.getPriceRecommendation('optimal');
+  console.log("Auto Blend (no market data):", JSON.stringify(autoBlend));
+  if (Object.keys(autoBlend.appliedWeights).join() !== 'cost-plus' || !autoBlend.excludedStrategies.competitor) {
+    throw new Error("Auto blend did not drop fallback strategies");
+  }
+
+  blendPricingModel.addCompetitor('Competitor A', 1300);
+  blendPricingModel.addCompetitor('Competitor B', 1500);
+  blendPricingModel.addCompetitor('Competitor C', 1400);
+  const marketBlend = blendPricingModel.getPriceRecommendation('optimal');
+  console.log("Auto Blend (with competitors):", JSON.stringify(marketBlend));
+  // cost-plus confidence 0.8 and competitor confidence 0.7
+  if (Math.abs(marketBlend.appliedWeights.competitor - 0.7 / 1.5) > 1e-9) {
+    throw new Error("Auto blend did not weight strategies by confidence");
+  }
+  if (!(marketBlend.confidenceLevel < autoBlend.confidenceLevel)) {
+    throw new Error("Disagreeing strategies should lower confidence");
+  }
+
+  blendPricingModel.setBlendWeights({ 'cost-plus': 1, competitor: 3 });
+  const fixedBlend = blendPricingModel.getPriceRecommendation('optimal');
+  console.log("Custom Fixed Blend:", JSON.stringify(fixedBlend.appliedWeights), fixedBlend.price);
+  if (fixedBlend.appliedWeights.competitor !== 0.75) {
+    throw new Error("Custom blend weights were not normalized");
+  }
+
+  try {
+    blendPricingModel.setBlendWeights({ intuition: 1 });
+    console.log("Error: Should have thrown an error for unknown strategy weight");
+  } catch (e) {
+    console.log("Successfully caught unknown strategy weight error:", e.message);
+  }
+
+  // Test 25: Pluggable pricing strategy registry
+  console.log("\nTest 25: Pricing strategy registry");
+  const registryPricingModel = new PricingModel(blendCostModel);
+  registryPricingModel.addCompetitor('Competitor A', 1300);
+  registryPricingModel.addCompetitor('Competitor B', 1500);
+  registryPricingModel.registerStrategy('undercut-cheapest', {
+    compute: model => {
+      const cheapest = Math.min(...model.competitors.map(c => model.getCompetitorPrice(c)));
+      return { price: Math.max(cheapest * 0.95, model.costModel.calculateMinimumViablePrice()), details: { cheapestCompetitor: cheapest } };
+    },
+    explain: (model, result) => `Undercuts the cheapest competitor (${result.details.cheapestCompetitor}) by 5% while covering your costs.`,
+    confidence: model => (model.competitors.length > 1 ? 0.6 : 0.3),
+    fallback: model => (model.competitors.length === 0 ? 'no competitors' : null),
+    defaultWeight: 0.2
+  });
+
+  const registryRecommendations = registryPricingModel.getAllPriceRecommendations();
+  console.log("Registered Strategies:", Object.keys(registryRecommendations));
+  console.log("House Strategy:", JSON.stringify(registryRecommendations['undercut-cheapest']));
+  console.log("Optimal Weights:", JSON.stringify(registryRecommendations.optimal.appliedWeights));
+  if (registryRecommendations['undercut-cheapest'].price !== 1235 || Math.abs(registryRecommendations.optimal.appliedWeights['undercut-cheapest'] - 0.2 / 1.2) > 1e-9) {
+    throw new Error("Registered strategy was not included in recommendations and the optimal blend");
+  }
+
+  // Overriding a built-in and unregistering another
+  registryPricingModel.registerStrategy('cost-plus', {
+    compute: model => model.costModel.calculateMinimumViablePrice() * 1.1,
+    explain: () => 'House cost-plus with a 10% buffer.',
+    confidence: () => 0.85,
+    defaultWeight: 0.4
+  });
+  registryPricingModel.unregisterStrategy('value');
+  const overridden = registryPricingModel.getAllPriceRecommendations();
+  console.log("Overridden Cost-Plus:", JSON.stringify(overridden['cost-plus']));
+  if ('value' in overridden || 'value' in overridden.optimal.appliedWeights || overridden['cost-plus'].explanation !== 'House cost-plus with a 10% buffer.') {
+    throw new Error("Strategy override or unregister failed");
+  }
+  if ('undercut-cheapest' in new PricingModel(blendCostModel).getAllPriceRecommendations()) {
+    throw new Error("Per-model registration leaked into other models");
+  }
+  try {
+    registryPricingModel.getPriceRecommendation('value');
+    console.log("Error: Should have thrown an error for an unregistered strategy");
+  } catch (e) {
+    console.log("Successfully caught unknown strategy error:", e.message);
+  }
+
+  // Test 26: Structured, explainable recommendations
+  console.log("\nTest 26: Explainable recommendations");
+  const explainedModel = new PricingModel(blendCostModel);
+  explainedModel.addCompetitor('Competitor A', 900, { quality: 8, support: 8 });
+  explainedModel.addCompetitor('Competitor B', 1000, { quality: 9, support: 7 });
+  explainedModel.addValueFactor('Quality', 8, 6);
+  explainedModel.addValueFactor('Support', 6, 5);
+  explainedModel.setMarketPosition('premium');
+
+  const explainedRecommendations = explainedModel.getAllPriceRecommendations();
+  ['cost-plus', 'competitor', 'value', 'optimal'].forEach(strategy => {
+    console.log(`${strategy}:`, explainedRecommendations[strategy].explanation);
+  });
+  console.log("Value Breakdown:", JSON.stringify(explainedRecommendations.value.breakdown, null, 2));
+
+  const valueBreakdown = explainedRecommendations.value.breakdown;
+  if (!explainedRecommendations.value.explanation.includes('below the competitor average') || !valueBreakdown.floor.binding) {
+    throw new Error("Value explanation should reflect a below-market value score and a binding floor");
+  }
+  if (valueBreakdown.multipliers[0].value !== 1.15 || valueBreakdown.inputs.competitors !== 2) {
+    throw new Error("Breakdown is missing multipliers or input counts");
+  }
+
+  const noMarketModel = new PricingModel(blendCostModel);
+  const fallbackRecommendation = noMarketModel.getPriceRecommendation('competitor');
+  console.log("Fallback Explanation:", fallbackRecommendation.explanation);
+  if (fallbackRecommendation.breakdown.fallbacks.length !== 1 || !fallbackRecommendation.explanation.includes('fell back')) {
+    throw new Error("Fallback was not reported in the breakdown");
+  }
+
+  // Test 27: Competitor benchmarking
+  console.log("\nTest 27: Competitor benchmarking");
+  const benchmarkModel = new PricingModel(blendCostModel);
+  benchmarkModel.addCompetitor('Budget Co', 1000, {}, { marketShare: 0.5, observedAt: '2025-01-10' });
+  benchmarkModel.addCompetitor('Mid Co', 1200, {}, { marketShare: 0.3, observedAt: '2025-03-01' });
+  benchmarkModel.addCompetitor('Boutique', 1300, {}, { marketShare: 0.15, matchQuality: 0.8, observedAt: '2025-03-05' });
+  benchmarkModel.addCompetitor('Luxury Ltd', 4000, {}, { marketShare: 0.05, matchQuality: 0.5, observedAt: '2025-03-10' });
+  benchmarkModel.addCompetitorObservation('Budget Co', 1050, '2025-02-10');
+  benchmarkModel.addCompetitorObservation('Budget Co', 1100, '2025-03-12');
+
+  const benchmarkResults = {};
+  ['mean', 'weighted-mean', 'median', 'trimmed-mean', 'percentile'].forEach(method => {
+    benchmarkModel.setBenchmarkOptions({ method, trimRatio: 0.25, percentile: 25, asOfDate: '2025-03-15' });
+    benchmarkResults[method] = benchmarkModel.calculateCompetitorBenchmark().price;
+  });
+  console.log("Benchmarks:", JSON.stringify(benchmarkResults));
+
+  // Latest Budget Co price is 1100: prices 1100, 1200, 1300, 4000
+  if (benchmarkResults.mean !== 1900 || benchmarkResults.median !== 1250 || benchmarkResults['trimmed-mean'] !== 1250) {
+    throw new Error("Benchmark aggregation failed");
+  }
+  const expectedWeighted = (1100 * 0.5 + 1200 * 0.3 + 1300 * 0.12 + 4000 * 0.025) / (0.5 + 0.3 + 0.12 + 0.025);
+  if (Math.abs(benchmarkResults['weighted-mean'] - expectedWeighted) > 1e-9 || benchmarkResults.percentile !== 1175) {
+    throw new Error("Weighted or percentile benchmark failed");
+  }
+
+  const budgetTrend = benchmarkModel.calculateCompetitorBenchmark().competitors[0].trend;
+  console.log("Budget Co Trend:", JSON.stringify(budgetTrend));
+  if (budgetTrend.change !== 100 || !(budgetTrend.slopePer30Days > 0)) {
+    throw new Error("Competitor price trend failed");
+  }
+
+  benchmarkModel.addCompetitor('Old Co', 900, {}, { observedAt: '2024-06-01' });
+  benchmarkModel.setBenchmarkOptions({ method: 'median', maxAgeDays: 90, staleHandling: 'flag' });
+  const flagged = benchmarkModel.getPriceRecommendation('competitor');
+  console.log("Flagged Stale:", flagged.explanation);
+  benchmarkModel.setBenchmarkOptions({ staleHandling: 'exclude' });
+  const excluded = benchmarkModel.getPriceRecommendation('competitor');
+  console.log("Excluded Stale:", excluded.explanation);
+  if (!flagged.explanation.includes('Old Co') || flagged.breakdown.base.value !== 1200 || excluded.breakdown.base.value !== 1250) {
+    throw new Error("Stale competitor handling failed");
+  }
+  // The demand curve is anchored at the same benchmark, here the median without the stale price
+  if (benchmarkModel.getDemandModel().referencePrice !== 1250) {
+    throw new Error("Demand curve is not anchored at the competitor benchmark");
+  }
+
+  // Staleness needs a reference date so results do not depend on when they are run
+  try {
+    new PricingModel(blendCostModel).setBenchmarkOptions({ maxAgeDays: 30 });
+    console.log("Error: Should have thrown an error for maxAgeDays without asOfDate");
+  } catch (e) {
+    console.log("Successfully caught missing as-of date error:", e.message);
+  }
+
+  // A competitor without a market share gets the unallocated 40%, not a full weight of 1
+  const shareModel = new PricingModel(blendCostModel);
+  shareModel.addCompetitor('Leader', 1000, {}, { marketShare: 0.6 });
+  shareModel.addCompetitor('Unknown Share', 3000);
+  shareModel.setBenchmarkOptions({ method: 'weighted-mean' });
+  const shareBenchmark = shareModel.calculateCompetitorBenchmark();
+  console.log("Missing Share Benchmark:", shareBenchmark.price);
+  if (Math.abs(shareBenchmark.price - 1800) > 1e-9 || shareBenchmark.competitors[1].ageDays !== null) {
+    throw new Error("Missing market share weighting failed");
+  }
+
+  // Test 28: Attribute-aligned value scoring
+  console.log("\nTest 28: Attribute-aligned value scoring");
+  const alignedModel = new PricingModel(blendCostModel);
+  alignedModel.addValueFactor('Quality', 3, 9);
+  alignedModel.addValueFactor('Support', 1, 6);
+  alignedModel.addCompetitor('Basic', 900, { quality: 5, support: 5 });
+  alignedModel.addCompetitor('Standard', 1200, { Quality: 7, Support: 7 });
+  alignedModel.addCompetitor('Plus', 1500, { quality: 9, support: 9, 'free parking': 10 });
+  alignedModel.addCompetitor('Unrated', 1100);
+
+  // Unrated competitors would score neutral; exclude them to fit only competitors with scores
+  alignedModel.setValueScoringOptions({ missingScores: 'exclude' });
+  const line = alignedModel.fitValueEquivalenceLine();
+  console.log("Value Line:", JSON.stringify({ method: line.method, intercept: line.intercept, slope: line.slope }));
+  // Three points on price = 150 * value + 150; our score is (3 * 9 + 6) / 4 = 8.25
+  if (line.method !== 'regression' || Math.abs(line.slope - 150) > 1e-9 || Math.abs(line.intercept - 150) > 1e-9) {
+    throw new Error("Value-equivalence line fit failed");
+  }
+
+  const alignedRecommendation = alignedModel.getPriceRecommendation('value');
+  console.log("Aligned Value Recommendation:", alignedRecommendation.explanation);
+  if (Math.abs(alignedRecommendation.breakdown.base.value - (150 + 150 * 8.25)) > 1e-9) {
+    throw new Error("Value-based price does not come from the value-equivalence line");
+  }
+
+  const plusComparison = alignedRecommendation.valueComparison.find(c => c.competitor === 'Plus');
+  console.log("Versus Plus:", JSON.stringify(plusComparison));
+  if (plusComparison.disadvantages.join() !== 'Support' || plusComparison.advantages.length !== 0) {
+    throw new Error("Per-factor comparison failed");
+  }
+  const unratedComparison = alignedRecommendation.valueComparison.find(c => c.competitor === 'Unrated');
+  if (unratedComparison.theirScore !== null || unratedComparison.missingFactors.length !== 2) {
+    throw new Error("Missing competitor scores were not reported");
+  }
+
+  // Test 29: Price points and charm pricing
+  console.log("\nTest 29: Price presentation");
+  const presentationModel = new PricingModel(blendCostModel); // Minimum viable price 1071.43
+  const presentationCases = [
+    [{ ending: 0.99 }, 1075.2, 1074.99],
+    [{ bands: [{ upTo: 100, step: 5 }, { upTo: 1000, step: 10 }, { step: 50 }] }, 1120, 1100],
+    [{ bands: [{ upTo: 100, step: 5 }, { upTo: 1000, step: 10 }, { step: 50 }], ending: 0.95 }, 1180, 1199.95],
+    [{ ladder: [49, 99, 149, 199] }, 120, 99],
+    [{ ladder: [49, 99, 149, 199] }, 320, 299],
+    [{ ending: 0.99, direction: 'up' }, 1080.2, 1080.99]
+  ];
+  presentationCases.forEach(([options, raw, expected]) => {
+    const presented = new PricePresenter(options).present(raw).presentedPrice;
+    console.log(`Present ${raw} with ${JSON.stringify(options)}:`, presented);
+    if (presented !== expected) {
+      throw new Error(`Price presentation failed: expected ${expected}, got ${presented}`);
+    }
+  });
+
+  // Only round numbers next to the raw and floor prices are generated, so large prices stay cheap
+  const largePresenter = new PricePresenter({ ending: 0.99 });
+  const largePresented = largePresenter.present(2000000000.4, { min: 1000 }).presentedPrice;
+  const largeCandidates = largePresenter.getCandidates([2000000000.4, 1000]);
+  console.log("Large Price Presented:", largePresented, `(${largeCandidates.length} candidates)`);
+  if (largePresented !== 1999999999.99 || largeCandidates.length > 8) {
+    throw new Error("Large price presentation failed or generated too many candidates");
+  }
+
+  // Nearest multiple of 50 would be 1050, below the minimum viable price of 1071.43
+  presentationModel.setPricePresentation({ bands: [{ step: 50 }], ending: 0.99 });
+  const presentedRecommendation = presentationModel.getPriceRecommendation('cost-plus');
+  console.log("Presented Recommendation:", JSON.stringify(presentedRecommendation.presentation));
+  if (presentedRecommendation.presentedPrice !== 1099.99 || !presentedRecommendation.presentation.floorApplied) {
+    throw new Error("Presentation rounded below the minimum viable price");
+  }
+  if (!(presentedRecommendation.presentation.marginImpact > 0) || presentedRecommendation.price !== 1071.43) {
+    throw new Error("Raw price or margin impact missing from recommendation");
+  }
+
+  // Presentation stays inside the guardrails: 1099.99 is below the minimum advertised price of 1100
+  presentationModel.setGuardrails({ minimumAdvertisedPrice: 1100 });
+  const advertisedPrice = presentationModel.getPriceRecommendation('cost-plus');
+  console.log("Guarded Presentation:", JSON.stringify(advertisedPrice.presentation));
+  if (advertisedPrice.presentedPrice !== 1149.99) {
+    throw new Error("Presentation rounded below the minimum advertised price");
+  }
+  // Rounding up in steps of 50 would reach 1149.99, past the 2% limit of 1122, and no .99 price
+  // lies between 1100 and 1122, so the raw price is shown
+  presentationModel.setGuardrails({ minimumAdvertisedPrice: 1100, maxChange: { currentPrice: 1100, maxIncrease: 0.02 } });
+  presentationModel.setPricePresentation({ bands: [{ step: 50 }], ending: 0.99, direction: 'up' });
+  presentationModel.setMarketPosition('premium'); // Cost-plus 1285.71, held to 1122 by the guardrails
+  const cappedPresentation = presentationModel.getPriceRecommendation('cost-plus');
+  console.log("Capped Presentation:", JSON.stringify(cappedPresentation.presentation));
+  [advertisedPrice, cappedPresentation].forEach(recommendation => {
+    const { min, max } = recommendation.guardrails.range;
+    if (recommendation.presentedPrice < min || recommendation.presentedPrice > max) {
+      throw new Error(`Presented price ${recommendation.presentedPrice} breaks a guardrail`);
+    }
+  });
+  if (cappedPresentation.presentedPrice !== 1122 || !cappedPresentation.presentation.ceilingApplied) {
+    throw new Error("Presentation did not fall back to the raw price inside the guardrails");
+  }
+
+  // Test 30: Good-better-best tiers
+  console.log("\nTest 30: Tier package generator");
+  const tierBaseModel = new PricingModel(blendCostModel.clone()); // Minimum viable price 1071.43
+  tierBaseModel.addValueFactor('Quality', 8, 6);
+  tierBaseModel.addValueFactor('Support', 5, 4);
+  tierBaseModel.addSegment('SMB', 60, 7);
+  tierBaseModel.addSegment('Enterprise', 40, 3);
+  const tierPackages = new TierPackageModel(tierBaseModel);
+  tierPackages.setSegmentFactorWeights('Enterprise', { Support: 10 });
+  tierPackages.addTier('Basic', { targetSegment: 'SMB' });
+  tierPackages.addTier('Plus', {
+    directCosts: [{ name: 'Extra Seats', amount: 50 }],
+    valueUplifts: { Quality: 1 },
+    targetSegment: 'SMB',
+    role: 'decoy'
+  });
+  tierPackages.addTier('Pro', {
+    timeCosts: [{ name: 'Account Manager', rate: 80, hours: 1 }],
+    valueUplifts: { Quality: 2, Support: 5 },
+    targetSegment: 'Enterprise'
+  });
+  const tierLadder = tierPackages.generate('cost-plus');
+  console.log("Tier Ladder:", JSON.stringify(tierLadder.tiers.map(tier => [tier.name, tier.price, tier.margin.toFixed(3), tier.checks])));
+  console.log("Tier Warnings:", tierLadder.warnings);
+  const [basicTier, plusTier, proTier] = tierLadder.tiers;
+  if (basicTier.price !== 1071.43 || proTier.price !== 1285.72 || plusTier.price !== 1157.15) {
+    throw new Error("Tier prices did not follow the gap and decoy rules");
+  }
+  if (!tierLadder.checks.passed || tierLadder.warnings.length !== 0) {
+    throw new Error("Tier ladder checks failed");
+  }
+
+  // A tier that adds cost without adding value breaks the value-per-price ladder
+  const flatTiers = new TierPackageModel(tierBaseModel);
+  flatTiers.addTier('Basic');
+  flatTiers.addTier('Premium', { directCosts: [{ name: 'Gift Box', amount: 20 }] });
+  const flatLadder = flatTiers.generate('cost-plus');
+  console.log("Flat Tier Warnings:", flatLadder.warnings);
+  if (flatLadder.checks.valuePerPrice || flatLadder.tiers[1].checks.valuePerPrice !== false) {
+    throw new Error("Tier without value uplift was not flagged");
+  }
+
+  const tierScenarios = new ScenarioModel();
+  tierScenarios.saveScenario('Three Tiers', tierPackages.getScenarioData('cost-plus'));
+  tierScenarios.saveScenario('Two Tiers', flatTiers.getScenarioData('cost-plus'));
+  const tierComparison = tierScenarios.compareScenarios('Three Tiers', 'Two Tiers');
+  console.log("Tier Comparison:", JSON.stringify(tierComparison.tiers));
+  if (tierScenarios.getScenario('Three Tiers').pricingStrategy.priceRecommendations.Pro.price !== 1285.72 || tierComparison.tiers.length !== 1) {
+    throw new Error("Tier package was not saved as a scenario");
+  }
+
+  // Test 31: Per-segment pricing
+  console.log("\nTest 31: Per-segment price recommendations");
+  const segmentPricingModel = new PricingModel(blendCostModel.clone()); // Variable cost 650, minimum viable price 1071.43
+  segmentPricingModel.addCompetitor('Competitor X', 1000);
+  segmentPricingModel.addSegment('Enterprise', 40, 2); // Elasticity -2.4
+  segmentPricingModel.addSegment('Startup', 60, 7); // Elasticity -7.15
+  const segmentPricing = new SegmentPricingAnalysis(segmentPricingModel).analyze({ strategy: 'cost-plus' });
+  console.log("Segment Prices:", JSON.stringify(segmentPricing.segments.map(segment => [segment.name, segment.price, segment.volume.toFixed(2), segment.profit.toFixed(2)])));
+  console.log("Segmented vs Single Price Profit:", segmentPricing.segmentedProfit.toFixed(2), segmentPricing.singlePriceProfit.toFixed(2));
+  console.log("Segment Warnings:", segmentPricing.warnings);
+  const [enterpriseSegment, startupSegment] = segmentPricing.segments;
+  // Constant elasticity optimum: variable cost * e / (1 + e)
+  if (Math.abs(enterpriseSegment.price - 650 * 2.4 / 1.4) > 0.01 || Math.abs(startupSegment.price - 650 * 7.15 / 6.15) > 0.01) {
+    throw new Error("Segment prices are not profit-maximizing");
+  }
+  if (!(segmentPricing.profitDifference > 0)) {
+    throw new Error("Segment pricing should beat a single price");
+  }
+  if (!startupSegment.belowMinimumViablePrice || enterpriseSegment.belowMinimumViablePrice || segmentPricing.arbitrageGaps.length !== 1) {
+    throw new Error("Segment price warnings were not raised");
+  }
+
+  // Test 32: Promotion simulator
+  console.log("\nTest 32: Promotion impact");
+  const promotions = new PromotionSimulation(segmentPricingModel); // Cost-plus price 1071.43, break-even price 750
+  const startupPromotion = promotions.simulate({
+    discount: 0.15,
+    durationMonths: 1,
+    eligibleSegments: ['Startup'],
+    pullForward: 0.25,
+    strategy: 'cost-plus'
+  });
+  console.log("15% Off for Startups:", JSON.stringify({
+    promoPrice: startupPromotion.promoPrice,
+    incrementalVolume: startupPromotion.incrementalVolume.toFixed(2),
+    netIncrementalVolume: startupPromotion.netIncrementalVolume.toFixed(2),
+    incrementalContribution: startupPromotion.incrementalContribution.toFixed(2),
+    projectedLift: startupPromotion.projectedLift.toFixed(3),
+    breakEvenLift: startupPromotion.breakEvenLift.toFixed(3)
+  }));
+  const expectedStartupVolume = 60 * Math.pow(910.72 / 1071.43, -7.15);
+  if (startupPromotion.promoPrice !== 910.72 || Math.abs(startupPromotion.segments[1].promoVolume - expectedStartupVolume) > 1e-6) {
+    throw new Error("Promotion volume does not follow segment elasticity");
+  }
+  if (startupPromotion.segments[0].lift !== 0 || Math.abs(startupPromotion.pullForwardVolume - startupPromotion.incrementalVolume * 0.25) > 1e-6) {
+    throw new Error("Ineligible segments or pull-forward handled incorrectly");
+  }
+  if (Math.abs(startupPromotion.breakEvenLift - (421.43 / 260.72 - 1)) > 1e-9 || startupPromotion.warnings.length !== 0) {
+    throw new Error("Break-even lift calculation failed");
+  }
+
+  const deepPromotion = promotions.simulate({ discount: 0.35, durationMonths: 2, volumeCap: 150, strategy: 'cost-plus' });
+  console.log("35% Off for Everyone:", deepPromotion.warnings);
+  if (!deepPromotion.belowBreakEvenPrice || !deepPromotion.capped || Math.abs(deepPromotion.segments.reduce((sum, segment) => sum + segment.discountedVolume, 0) - 150) > 1e-6) {
+    throw new Error("Deep promotion warnings or volume cap failed");
+  }
+
+  // Test 33: Subscription pricing
+  console.log("\nTest 33: Subscription mode");
+  const subscriptionCostModel = new CostModel('saas');
+  subscriptionCostModel.addDirectCost('Hosting', 8); // Per subscriber per month
+  subscriptionCostModel.addTimeCost('Support', 60, 0.2);
+  subscriptionCostModel.addIndirectCost('Platform Team', 20000, 'month');
+  subscriptionCostModel.setExpectedVolume(1000); // Active subscribers
+  const unitMinimumPrice = subscriptionCostModel.calculateMinimumViablePrice();
+  subscriptionCostModel.setSubscription({
+    churnRate: 0.04,
+    expansionRate: 0.01,
+    acquisitionCost: 600,
+    onboardingCost: 150,
+    annualShare: 0.5,
+    annualPrepayDiscount: 0.2,
+    targetLtvToCac: 4
+  });
+  // Acquisition and onboarding add 750 * 4% = 30 per subscriber-month; half pay 20% less up front
+  const expectedSubscriptionCost = 8 + 12 + 20 + 30;
+  if (Math.abs(subscriptionCostModel.calculateTotalCostPerUnit() - expectedSubscriptionCost) > 1e-9 ||
+      Math.abs(subscriptionCostModel.calculateMinimumViablePrice() - expectedSubscriptionCost / 0.7 / 0.9) > 1e-9) {
+    throw new Error("Subscription costs are not allocated per subscriber-month");
+  }
+  console.log("Minimum Viable Monthly Price:", unitMinimumPrice.toFixed(2), "->", subscriptionCostModel.calculateMinimumViablePrice().toFixed(2));
+
+  const subscriptionPricingModel = new PricingModel(subscriptionCostModel);
+  const ltvRecommendation = subscriptionPricingModel.getPriceRecommendation('ltv-cac');
+  console.log("LTV:CAC Recommendation:", ltvRecommendation.price, ltvRecommendation.explanation);
+  const subscriptionMetrics = new SubscriptionAnalysis(subscriptionPricingModel).analyze({ strategy: 'ltv-cac' });
+  console.log("Subscription Metrics:", JSON.stringify({
+    mrr: subscriptionMetrics.mrr.toFixed(2),
+    arr: subscriptionMetrics.arr.toFixed(2),
+    lifetimeValue: subscriptionMetrics.lifetimeValue.toFixed(2),
+    ltvToCac: subscriptionMetrics.ltvToCac.toFixed(2),
+    paybackMonths: subscriptionMetrics.paybackMonths.toFixed(1),
+    annualPrice: subscriptionMetrics.annualPrice
+  }));
+  // LTV = 0.9p / (0.04 - 0.01) - 20 / 0.04 = 4 * 750 solves to p = 116.67
+  if (ltvRecommendation.price !== 116.67 || Math.abs(subscriptionMetrics.ltvToCac - 4) > 0.001) {
+    throw new Error("LTV:CAC target price calculation failed");
+  }
+  if (Math.abs(subscriptionMetrics.arr - subscriptionMetrics.mrr * 12) > 1e-6 || subscriptionMetrics.annualPrice !== 1120.03) {
+    throw new Error("Recurring revenue metrics failed");
+  }
+  const cheapPlan = new SubscriptionAnalysis(subscriptionPricingModel).analyze({ monthlyPrice: 60 });
+  console.log("Cheap Plan Warnings:", cheapPlan.warnings);
+  if (cheapPlan.warnings.length === 0 || subscriptionPricingModel.getPriceRecommendation('cost-plus').price !== 111.11) {
+    throw new Error("Existing strategies or LTV:CAC warnings failed in subscription mode");
+  }
+
+  // CVP uses the same revenue per subscriber and acquisition cost as the cost model
+  const subscriptionCvp = new CostVolumeProfitAnalysis(subscriptionCostModel).analyze(116.67);
+  console.log("Subscription Break-Even Volume:", subscriptionCvp.breakEvenVolume.toFixed(1));
+  if (Math.abs(subscriptionCvp.breakEvenVolume - subscriptionCostModel.calculateBreakEvenVolume(116.67)) > 1e-9) {
+    throw new Error("CVP break-even disagrees with the cost model in subscription mode");
+  }
+
+  // Test 34: Dynamic pricing rules
+  console.log("\nTest 34: Dynamic pricing engine");
+  const dynamicPricingModel = new PricingModel(blendCostModel.clone()); // Minimum viable price 1071.43
+  dynamicPricingModel.setMarketPosition('premium'); // Cost-plus base price 1285.71
+  const dynamicPricing = new DynamicPricingEngine(dynamicPricingModel, { strategy: 'cost-plus' });
+  dynamicPricing.addRule('Weekend', { conditions: { dayOfWeek: { in: [0, 6] } }, adjustment: 0.1, priority: 1 });
+  dynamicPricing.addRule('Last minute', { conditions: { leadTimeDays: { max: 2 } }, adjustment: 0.15, priority: 2, group: 'lead time' });
+  dynamicPricing.addRule('Early bird', { conditions: { leadTimeDays: { min: 30 } }, adjustment: -0.1, priority: 1, group: 'lead time' });
+  dynamicPricing.addRule('Low capacity', { conditions: { capacityRemaining: { max: 0.2 } }, adjustment: 0.2, priority: 3 });
+  dynamicPricing.addRule('Soft demand', { conditions: { demandRatio: { max: 0.8 } }, adjustment: -0.15, priority: 1 });
+  dynamicPricing.addRule('Late night', { conditions: signals => signals.hour >= 22, adjustment: -25, type: 'amount' });
+  dynamicPricing.setLimits({ maxAdjustment: 0.3, ceilingMultiplier: 1.4 });
+
+  const peakSnapshot = { at: '2025-03-08T10:00:00Z', bookingDate: '2025-03-09T08:00:00Z', remainingCapacity: 10, totalCapacity: 100 };
+  const quietSnapshot = { at: '2025-03-05T23:00:00Z', bookingDate: '2025-04-20T00:00:00Z', demand: 60, forecast: 100 };
+  const peakPrice = dynamicPricing.evaluate(peakSnapshot);
+  const quietPrice = dynamicPricing.evaluate(quietSnapshot);
+  console.log("Peak:", peakPrice.price, peakPrice.firedRules.map(rule => rule.name), "capped:", peakPrice.capped);
+  console.log("Quiet:", quietPrice.price, quietPrice.firedRules.map(rule => rule.name), "floor:", quietPrice.floorApplied);
+  // +20% +15% +10% is held to +30%; -10% -15% -25 would fall below the minimum viable price
+  if (peakPrice.price !== 1671.42 || !peakPrice.capped || peakPrice.firedRules[0].name !== 'Low capacity') {
+    throw new Error("Dynamic rules did not stack within the adjustment limit");
+  }
+  if (quietPrice.price !== 1071.43 || !quietPrice.floorApplied || quietPrice.firedRules.length !== 3) {
+    throw new Error("Dynamic price went below the minimum viable price");
+  }
+
+  dynamicPricing.setLimits({ maxRules: 1 });
+  const singleRulePrice = dynamicPricing.evaluate(peakSnapshot);
+  console.log("One Rule Only:", singleRulePrice.price, JSON.stringify(singleRulePrice.skippedRules));
+  if (singleRulePrice.price !== 1542.85 || singleRulePrice.skippedRules.length !== 2) {
+    throw new Error("Stacking limit was not applied");
+  }
+  dynamicPricing.setLimits({ maxRules: null });
+
+  const backtest = dynamicPricing.backtest([
+    { ...peakSnapshot, volume: 10 },
+    { ...quietSnapshot, volume: 10 },
+    { at: '2025-03-04T12:00:00Z', bookingDate: '2025-03-14T12:00:00Z', volume: 10 }
+  ]);
+  console.log("Backtest Summary:", JSON.stringify(backtest.summary));
+  if (backtest.summary.points !== 3 || backtest.summary.floorHits !== 1 || backtest.summary.ruleCounts['Weekend'] !== 1 || backtest.results[2].price !== 1285.71) {
+    throw new Error("Backtest replay failed");
+  }
+
+  // Rules cannot push the price past the model's guardrails: at most +10% on 1285.71
+  dynamicPricingModel.setGuardrails({ maxChange: { currentPrice: 1285.71, maxIncrease: 0.1 } });
+  const guardedPeakPrice = dynamicPricing.evaluate(peakSnapshot);
+  console.log("Guarded Peak:", guardedPeakPrice.price, JSON.stringify(guardedPeakPrice.guardrails.binding));
+  if (guardedPeakPrice.price !== 1414.28 || guardedPeakPrice.guardrails.binding.length !== 1) {
+    throw new Error("Dynamic price ignored the guardrails");
+  }
+
+  // A change band of 720 to 990 lies under the minimum viable price: the floor holds and the conflict is reported
+  dynamicPricingModel.setGuardrails({ maxChange: { currentPrice: 900, maxIncrease: 0.1, maxDecrease: 0.2 } });
+  const guardedQuietPrice = dynamicPricing.evaluate(quietSnapshot);
+  console.log("Guarded Quiet:", guardedQuietPrice.price, JSON.stringify(guardedQuietPrice.guardrails.conflicts.map(conflict => conflict.reason)));
+  if (guardedQuietPrice.price !== 1071.43 || !guardedQuietPrice.floorApplied || guardedQuietPrice.guardrails.feasible ||
+      !guardedQuietPrice.guardrails.conflicts.some(conflict => conflict.constraints.includes('minimum viable price'))) {
+    throw new Error("Guardrails moved a dynamic price below the minimum viable price");
+  }
+  dynamicPricingModel.setGuardrails(null);
+
+  // Test 35: Capacity-constrained pricing
+  console.log("\nTest 35: Capacity-constrained pricing");
+  const capacityPricingModel = new PricingModel(blendCostModel.clone()); // Developer needs 8 hours per unit
+  capacityPricingModel.addSegment('Clients', 100, 5); // Elasticity -5.25
+  capacityPricingModel.setBaseDemand(20);
+  const capacity = new CapacityModel(capacityPricingModel);
+  capacity.setAvailableHours({ Developer: 120 }); // 15 units a month
+  const rationedPrice = capacity.recommend('cost-plus');
+  console.log("Rationed Price:", rationedPrice.basePrice, "->", rationedPrice.price, "bottleneck:", rationedPrice.bottleneck);
+  console.log("At Base Price:", JSON.stringify(rationedPrice.atBasePrice));
+  const expectedRationingPrice = 1071.43 * Math.pow(20 / 15, 1 / 5.25);
+  if (!rationedPrice.rationed || rationedPrice.capacity !== 15 || Math.abs(rationedPrice.price - expectedRationingPrice) > 0.011) {
+    throw new Error("Price was not raised to ration demand to capacity");
+  }
+  if (Math.abs(rationedPrice.atBasePrice.lostSales - 5) > 0.01 || rationedPrice.atBasePrice.utilization !== 1 || rationedPrice.atPrice.volume > 15) {
+    throw new Error("Utilization or lost sales were not reported");
+  }
+  // Demand at 1100 is still about 17.4 units, so the capped search stops at its limit
+  const cappedPrice = capacity.recommend('cost-plus', { maxPrice: 1100 });
+  console.log("Capped Rationing Price:", cappedPrice.price, "at max:", cappedPrice.atMaxPrice);
+  if (cappedPrice.price !== 1100 || !cappedPrice.atMaxPrice || rationedPrice.atMaxPrice) {
+    throw new Error("Rationing search did not stop at its maximum price");
+  }
+  try {
+    capacity.setAvailableHours({ Developer: 0 });
+    console.log("Error: Should have thrown an error for zero available hours");
+  } catch (e) {
+    console.log("Successfully caught zero capacity error:", e.message);
+  }
+  const capacitySchedule = capacity.generateSchedule({ minPrice: 1000, maxPrice: 1400, points: 4 });
+  console.log("Capacity Schedule:", JSON.stringify(capacitySchedule.map(point => [point.price, point.utilization.toFixed(2), point.lostSales.toFixed(2)])));
+
+  // Perishable stock: 200 units that must sell within 10 days
+  const perishableCostModel = new CostModel('retail');
+  perishableCostModel.addDirectCost('Produce', 4);
+  perishableCostModel.setExpectedVolume(300);
+  const perishablePricingModel = new PricingModel(perishableCostModel); // Cost-plus price 5.71
+  perishablePricingModel.addSegment('Shoppers', 100, 6); // Elasticity -6.2
+  perishablePricingModel.setBaseDemand(300); // About 9.9 units a day at full price
+  const perishableStock = new CapacityModel(perishablePricingModel);
+  perishableStock.setInventory(200, { sellByDate: '2025-06-11', markdowns: [{ daysBefore: 5, discount: 0.2 }, { daysBefore: 2, discount: 0.4 }] });
+  const withoutMarkdowns = perishableStock.projectMarkdowns({ asOfDate: '2025-06-01', strategy: 'cost-plus', markdowns: [] });
+  const withMarkdowns = perishableStock.projectMarkdowns({ asOfDate: '2025-06-01', strategy: 'cost-plus' });
+  console.log("Without Markdowns:", withoutMarkdowns.unitsSold.toFixed(1), "sold,", withoutMarkdowns.unsoldUnits.toFixed(1), "wasted");
+  console.log("With Markdowns:", JSON.stringify(withMarkdowns.phases.map(phase => [phase.discount, phase.price, phase.days, phase.unitsSold.toFixed(1)])), withMarkdowns.unsoldUnits.toFixed(1), "wasted");
+  const dailyFullPriceDemand = perishablePricingModel.getDemandModel().calculateVolume(5.71) / (365 / 12);
+  if (withoutMarkdowns.days !== 10 || Math.abs(withoutMarkdowns.unitsSold - 10 * dailyFullPriceDemand) > 1e-9) {
+    throw new Error("Perishable sell-through projection failed");
+  }
+  if (withMarkdowns.phases.length !== 3 || !(withMarkdowns.unsoldUnits < withoutMarkdowns.unsoldUnits) || !(withMarkdowns.revenue > withoutMarkdowns.revenue)) {
+    throw new Error("Markdown schedule did not reduce waste");
+  }
+  [{ strategy: 'cost-plus' }, { asOfDate: '2025-06-01', markdowns: [{ daysBefore: 3, discount: 1.5 }] }].forEach(options => {
+    try {
+      perishableStock.projectMarkdowns(options);
+      console.log("Error: Should have thrown an error for", JSON.stringify(options));
+    } catch (e) {
+      console.log("Successfully caught markdown projection error:", e.message);
+    }
+  });
+
+  // Test 36: Guardrails
+  console.log("\nTest 36: Price guardrails");
+  const guardedModel = new PricingModel(blendCostModel.clone()); // Minimum viable price 1071.43, cost 750
+  guardedModel.addCompetitor('Rival A', 1100);
+  guardedModel.addCompetitor('Rival B', 1200);
+  guardedModel.setGuardrails({
+    maxChange: { currentPrice: 1000, maxIncrease: 0.1 }, // 900 to 1100
+    minimumAdvertisedPrice: 999,
+    competitorCeiling: 1.05 // 1260
+  });
+  const unguardedPrice = guardedModel.getPriceRecommendation('cost-plus');
+  guardedModel.setMarketPosition('premium'); // Cost-plus 1285.71
+  const guardedPrice = guardedModel.getPriceRecommendation('cost-plus');
+  console.log("Guarded Recommendation:", guardedPrice.price, guardedPrice.explanation);
+  if (unguardedPrice.price !== 1071.43 || unguardedPrice.guardrails.binding.length !== 0) {
+    throw new Error("Guardrails changed a price that met every constraint");
+  }
+  if (guardedPrice.price !== 1100 || guardedPrice.guardrails.binding[0] !== 'maximum change from 1000.00 USD') {
+    throw new Error("Maximum price change was not enforced");
+  }
+  // The blend combines strategy prices and only the blended price is guardrailed
+  const guardedBlend = guardedModel.getPriceRecommendation('optimal');
+  const costPlusComponent = guardedBlend.breakdown.components.find(component => component.strategy === 'cost-plus');
+  console.log("Guarded Blend:", guardedBlend.price, JSON.stringify(guardedBlend.breakdown.components));
+  if (costPlusComponent.price !== 1285.71 || guardedBlend.price !== 1100 || guardedBlend.guardrails.targetPrice <= 1100) {
+    throw new Error("Blend components were guardrailed before blending");
+  }
+
+  guardedModel.setGuardrails({ minMargin: { 'cost-plus': 0.4, default: 0.3 }, maxChange: { currentPrice: 1000, maxIncrease: 0.1 } });
+  const conflictingPrice = guardedModel.getPriceRecommendation('cost-plus');
+  console.log("Conflicts:", JSON.stringify(conflictingPrice.guardrails.conflicts));
+  // A 40% margin on 750 of cost needs 1250, above the 1100 change limit
+  if (conflictingPrice.guardrails.feasible || conflictingPrice.price !== 1285.71 ||
+      conflictingPrice.guardrails.conflicts[0].constraints.join('|') !== 'minimum 40.0% margin|maximum change from 1000.00 USD') {
+    throw new Error("Conflicting guardrails were not explained");
+  }
+
+  guardedModel.setGuardrails({ minMargin: 0.3, segmentOrder: ['Startup', 'Enterprise'] });
+  guardedModel.addSegment('Enterprise', 40, 2);
+  guardedModel.addSegment('Startup', 60, 7);
+  const orderedSegmentPrices = guardedModel.guardrails.solveSegmentPrices(guardedModel, { Startup: 1180, Enterprise: 1120 });
+  console.log("Ordered Segment Prices:", JSON.stringify(orderedSegmentPrices.prices));
+  if (orderedSegmentPrices.prices.Startup !== 1150 || orderedSegmentPrices.prices.Enterprise !== 1150) {
+    throw new Error("Segment price ordering was not enforced");
+  }
+  const guardedSegments = new SegmentPricingAnalysis(guardedModel).analyze({ strategy: 'cost-plus' });
+  console.log("Guarded Segment Prices:", JSON.stringify(guardedSegments.guardrails.prices));
+  if (guardedSegments.guardrails.prices.Startup !== 1071.43 || !guardedSegments.guardrails.adjusted.includes('Startup')) {
+    throw new Error("Segment prices were not held to the minimum margin");
+  }
+
+  // A competitor ceiling under the minimum viable price is a conflict, not a lower price
+  const ceilingModel = new PricingModel(blendCostModel.clone()); // Minimum viable price 1071.43
+  ceilingModel.addCompetitor('Discounter', 950);
+  ceilingModel.setGuardrails({ competitorCeiling: 1.05 }); // 997.50
+  const ceilingPrice = ceilingModel.getPriceRecommendation('cost-plus');
+  console.log("Ceiling Below Floor:", ceilingPrice.price, ceilingPrice.explanation);
+  if (ceilingPrice.guardrails.feasible || ceilingPrice.price !== 1071.43 ||
+      ceilingPrice.guardrails.conflicts[0].constraints.join('|') !== 'minimum viable price|ceiling at 1.05x the top competitor') {
+    throw new Error("Guardrails lowered the price below the minimum viable price");
+  }
+
+  // Test 37: Custom market positions from settings
+  console.log("\nTest 37: Custom market positions");
+  const positionSettings = JSON.stringify({
+    marketPositions: {
+      positions: {
+        'penetration': { index: 0, multipliers: { 'cost-plus': 0.8, 'competitor': 0.75, 'value': 0.8 } },
+        'value-plus': { index: 40, multipliers: { 'cost-plus': 1.0, 'competitor': 0.95, 'value': 1.05 } },
+        'premium': { index: 75, multipliers: { 'cost-plus': 1.2, 'competitor': 1.25, 'value': 1.15 } },
+        'ultra-premium': { index: 100, multipliers: { 'cost-plus': 1.5, 'competitor': 1.6, 'value': 1.4 } }
       }
     }
   });
-  
-  console.log("All Scenarios:", Object.keys(scenarioModel.getAllScenarios()));
-  console.log("Basic Strategy:", scenarioModel.getScenario('Basic Strategy'));
-  
-  // Compare scenarios
-  console.log("\nTest 11: Scenario Comparison");
-  console.log("Comparison:", JSON.stringify(scenarioModel.compareScenarios('Basic Strategy', 'Premium Strategy'), null, 2));
-  
-  // Delete scenario
-  console.log("\nTest 12: Delete Scenario");
-  console.log("Delete Result:", scenarioModel.deleteScenario('Basic Strategy'));
-  console.log("Remaining Scenarios:", Object.keys(scenarioModel.getAllScenarios()));
+  const positionedModel = new PricingModel(blendCostModel.clone()); // Minimum viable price 1071.43
+  positionedModel.setMarketPositions(JSON.parse(positionSettings).marketPositions);
+  console.log("Configured Positions:", positionedModel.marketPositions.getNames(), "selected:", positionedModel.marketPosition);
+  if (positionedModel.marketPosition !== 'value-plus' || positionedModel.marketPositions.getNames()[3] !== 'ultra-premium') {
+    throw new Error("Positions from settings were not loaded");
+  }
+
+  positionedModel.setMarketPosition('ultra-premium');
+  const ultraPremiumPrice = positionedModel.getPriceRecommendation('cost-plus');
+  positionedModel.setPositionIndex(90); // 60% of the way from premium (1.2) to ultra-premium (1.5)
+  const indexedPrice = positionedModel.getPriceRecommendation('cost-plus');
+  console.log("Ultra-premium:", ultraPremiumPrice.price, "Index 90:", indexedPrice.price, indexedPrice.breakdown.multipliers[0].name);
+  if (ultraPremiumPrice.price !== 1607.14 || indexedPrice.price !== 1478.57 || positionedModel.marketPosition !== 'ultra-premium') {
+    throw new Error("Position multipliers did not come from the configured positions");
+  }
+  const indexSensitivity = new SensitivityAnalysis(positionedModel).analyze({ strategy: 'cost-plus' });
+  const indexInput = indexSensitivity.inputs.find(input => input.input === 'positionIndex');
+  console.log("Position Index Sensitivity:", indexInput.lowValue, indexInput.highValue, indexInput.priceSwing.toFixed(2));
+  if (!indexInput || indexInput.lowValue !== 80 || indexInput.highValue !== 100) {
+    throw new Error("Sensitivity analysis ignored the position index");
+  }
 
-  // Verify edge cases and error handling
-  console.log("\nTest 13: Error handling");
   try {
-    pricingModel.setMarketPosition('luxury');
-    console.log("Error: Should have thrown an error for invalid market position");
+    positionedModel.setMarketPosition('budget');
+    throw new Error("Unconfigured position was accepted");
   } catch (e) {
-    console.log("Successfully caught invalid market position error:", e.message);
+    if (!(e instanceof ValidationError)) throw e;
+    console.log("Unconfigured position rejected:", e.message);
+  }
+  if (JSON.stringify({ marketPositions: positionedModel.marketPositions.toJSON() }) !== positionSettings) {
+    throw new Error("Positions did not round-trip through settings");
+  }
+
+  // Test 38: Bundle pricing
+  console.log("\nTest 38: Bundle pricing");
+  // Premium components are priced by cost-plus at 1.2x the minimum viable price
+  const setupCostModel = new CostModel('service');
+  setupCostModel.addDirectCost('Configuration', 700);
+  const setupPricingModel = new PricingModel(setupCostModel);
+  setupPricingModel.setMarketPosition('premium');
+  const supportCostModel = new CostModel('service');
+  supportCostModel.addDirectCost('Helpdesk', 70);
+  const supportPricingModel = new PricingModel(supportCostModel);
+  supportPricingModel.setMarketPosition('premium');
+  const trainingCostModel = new CostModel('service');
+  trainingCostModel.addTimeCost('Trainer', 50, 7);
+  const trainingPricingModel = new PricingModel(trainingCostModel);
+  trainingPricingModel.setMarketPosition('premium');
+
+  const bundle = new BundleModel('Launch Package');
+  bundle.addComponent('Setup', setupPricingModel, { strategy: 'cost-plus' }); // 1200
+  bundle.addComponent('Support', supportPricingModel, { strategy: 'cost-plus', quantity: 12 }); // 12 x 120
+  bundle.addComponent('Training', trainingPricingModel, { strategy: 'cost-plus' }); // 600
+  bundle.setMaxDiscount(0.1);
+
+  const bundleRecommendation = bundle.recommend();
+  console.log("Bundle:", JSON.stringify({
+    sumOfParts: bundleRecommendation.sumOfParts,
+    floorPrice: bundleRecommendation.floorPrice,
+    maxMarginDiscount: bundleRecommendation.maxMarginDiscount.toFixed(4),
+    bundlePrice: bundleRecommendation.bundlePrice,
+    margin: bundleRecommendation.margin.toFixed(4)
+  }));
+  console.log("Revenue Allocation:", JSON.stringify(bundleRecommendation.allocation.map(line => [line.name, line.allocatedRevenue.toFixed(2)])));
+  if (Math.abs(bundleRecommendation.sumOfParts - 3240) > 0.01 || Math.abs(bundleRecommendation.floorPrice - 2700) > 0.01 || bundleRecommendation.bundlePrice !== 2916) {
+    throw new Error("Bundle discount did not follow the margin and maximum discount");
+  }
+  const allocatedTotal = bundleRecommendation.allocation.reduce((sum, line) => sum + line.allocatedRevenue, 0);
+  if (Math.abs(allocatedTotal - 2916) > 1e-6 || Math.abs(bundleRecommendation.allocation[1].allocatedRevenue - 1296) > 0.01) {
+    throw new Error("Bundle revenue was not allocated by standalone price");
+  }
+  if (bundleRecommendation.warnings.length !== 0) {
+    throw new Error("Bundle above its floor should not warn");
+  }
+
+  // A budget component is priced under its minimum viable price, so the parts undercut the floor
+  const budgetCostModel = new CostModel('service');
+  budgetCostModel.addDirectCost('Configuration', 700);
+  const budgetPricingModel = new PricingModel(budgetCostModel);
+  budgetPricingModel.setMarketPosition('budget');
+  const budgetBundle = new BundleModel('Budget Package');
+  budgetBundle.addComponent('Setup', budgetPricingModel, { strategy: 'cost-plus' });
+  const budgetBundleRecommendation = budgetBundle.recommend();
+  console.log("Budget Bundle Warnings:", budgetBundleRecommendation.warnings);
+  if (budgetBundleRecommendation.warnings.length !== 1 || budgetBundleRecommendation.discount !== 0) {
+    throw new Error("Bundle priced below its floor was not flagged");
+  }
+
+  bundle.addSegment('Enterprise', 10, { Setup: 1500, Support: 1800, Training: 800 });
+  bundle.addSegment('SMB', 30, { Setup: 1250, Support: 1300, Training: 450 });
+  bundle.addSegment('Startup', 20, { Setup: 1210, Support: 1000, Training: 300 });
+  const bundling = bundle.analyzeMixedBundling();
+  console.log("Bundling Profits:", JSON.stringify({
+    components: bundling.componentsOnly.profit.toFixed(2),
+    pureBundle: [bundling.pureBundle.bundlePrice, bundling.pureBundle.profit.toFixed(2)],
+    mixed: [bundling.mixed.bundlePrice, bundling.mixed.profit.toFixed(2)],
+    recommended: bundling.recommended
+  }));
+  // SMB switches to the bundle at 2950, where its 50 of surplus on Setup alone is matched
+  if (bundling.recommended !== 'mixed' || bundling.mixed.bundlePrice !== 2950 || Math.abs(bundling.mixed.profit - 52400) > 0.01) {
+    throw new Error("Mixed bundling analysis failed");
+  }
+  if (Math.abs(bundling.componentsOnly.profit - 38500) > 0.01 || bundling.mixed.choices[2].choice !== 'components') {
+    throw new Error("Component-only or segment choices were wrong");
   }
 }
 